@@ -0,0 +1,438 @@
+import type { ReactiveController, ReactiveControllerHost } from 'lit';
+import type { RequireProps } from '../core.js';
+import type { ListboxAccessibilityController } from './listbox-controller.js';
+
+import { getRandomId } from '../functions/random.js';
+
+/** Element reflection for `aria-activedescendant` is not yet in typescript's DOM lib */
+type ActiveDescendantElement = HTMLElement & {
+  ariaActiveDescendantElement?: Element | null;
+};
+
+const isActivatableElement = (el: Element): el is HTMLElement =>
+  !!el
+  && !el.ariaHidden
+  && !el.hasAttribute('hidden');
+
+/**
+ * Whether `root` is `node`'s own root, or the root of one of its shadow hosts
+ * i.e. whether a reference from `node` to an element in `root` is allowed
+ * by the element reflection spec.
+ */
+function isShadowIncludingAncestorRoot(node: Node, root: Node) {
+  let current = node.getRootNode();
+  while (current) {
+    if (current === root) {
+      return true;
+    } else if (current instanceof ShadowRoot) {
+      current = current.host.getRootNode();
+    } else {
+      return false;
+    }
+  }
+  return false;
+}
+
+export interface ActiveDescendantControllerOptions<Item extends HTMLElement> {
+  /**
+   * The element which retains DOM focus and receives `aria-activedescendant`,
+   * e.g. a combobox `<input>` or `<button>`
+   */
+  getControllingElement(): HTMLElement | null;
+  /** The element which contains the items, e.g. the listbox */
+  getHTMLElement?(): HTMLElement | null;
+  getItems?(): Item[];
+  /**
+   * Optional callback to update an item's state when it becomes,
+   * or stops being, the active descendant. Called for the item's clone as well,
+   * if the item was cloned into the controlling element's shadow root.
+   */
+  setItemActive?(item: Item, active: boolean): void;
+}
+
+/**
+ * Implements activedescendant pattern, as described in WAI-ARIA practices,
+ * [Managing Focus in Composites Using aria-activedescendant][ad]
+ *
+ * DOM focus remains on the controlling element (e.g. a combobox input),
+ * while `aria-activedescendant` points to the active item.
+ * When the items live in a different shadow root than the controlling element,
+ * the controller uses `ariaActiveDescendantElement` where the browser supports it.
+ * Otherwise, since IDREFs can't cross shadow roots, it clones the items so that
+ * the host can render them into the controlling element's root.
+ * In that case, the host should render the result of `renderItemsToShadowRoot()`,
+ * and hide its items slot when `canControlLightDom` is false.
+ *
+ * [ad]: https://www.w3.org/WAI/ARIA/apg/practices/keyboard-interface/#kbd_focus_activedescendant
+ */
+export class ActiveDescendantController<
+  Item extends HTMLElement = HTMLElement
+> implements ListboxAccessibilityController<Item>, ReactiveController {
+  private static hosts = new WeakMap<ReactiveControllerHost, ActiveDescendantController>();
+
+  static of<Item extends HTMLElement>(
+    host: ReactiveControllerHost,
+    options: ActiveDescendantControllerOptions<Item> & { getItems(): Item[] },
+  ) {
+    return new ActiveDescendantController(host, options);
+  }
+
+  /**
+   * Whether the browser supports referencing the active descendant
+   * across shadow roots with `ariaActiveDescendantElement`
+   */
+  static get supportsCrossRootActiveDescendant() {
+    return 'ariaActiveDescendantElement' in Element.prototype;
+  }
+
+  /** active item, i.e. the current active descendant */
+  #activeItem?: Item;
+
+  /** array of all items */
+  #items: Item[] = [];
+
+  /** item clones, rendered to the shadow root when IDREFs can't reach the items */
+  #clones = new Map<Item, Item>();
+
+  /** element which retains DOM focus */
+  #controllingElement?: HTMLElement | null;
+
+  #mo = new MutationObserver(this.#onItemsMutation.bind(this));
+
+  #options: RequireProps<ActiveDescendantControllerOptions<Item>, 'getHTMLElement'>;
+
+  /**
+   * finds activatable items from a group of items
+   */
+  get #activatableItems(): Item[] {
+    return this.#items.filter(isActivatableElement);
+  }
+
+  /**
+   * index of active item in array of activatable items
+   */
+  get #activeIndex(): number {
+    return this.activeItem ? this.#activatableItems.indexOf(this.activeItem) : -1;
+  }
+
+  /**
+   * active item of array of items
+   */
+  get activeItem(): Item | undefined {
+    return this.#activeItem;
+  }
+
+  /**
+   * all items from array
+   */
+  get items() {
+    return this.#items;
+  }
+
+  /**
+   * all activatable items from array
+   */
+  get activatableItems() {
+    return this.#activatableItems;
+  }
+
+  /**
+   * first item in array of activatable items
+   */
+  get firstItem(): Item | undefined {
+    return this.#activatableItems[0];
+  }
+
+  /**
+   * last item in array of activatable items
+   */
+  get lastItem(): Item | undefined {
+    return this.#activatableItems.at(-1);
+  }
+
+  /**
+   * next item after active item in array of activatable items
+   */
+  get nextItem(): Item | undefined {
+    return (
+      this.#activeIndex >= this.#activatableItems.length - 1 ? this.firstItem
+        : this.#activatableItems[this.#activeIndex + 1]
+    );
+  }
+
+  /**
+   * previous item before active item in array of activatable items
+   */
+  get prevItem(): Item | undefined {
+    return (
+      this.#activeIndex > 0 ? this.#activatableItems[this.#activeIndex - 1]
+        : this.lastItem
+    );
+  }
+
+  /**
+   * element which retains DOM focus and receives `aria-activedescendant`
+   */
+  get controllingElement(): HTMLElement | null {
+    return this.#options.getControllingElement();
+  }
+
+  /**
+   * Whether the controlling element can reference the items where they are.
+   * When false, the host should render `renderItemsToShadowRoot()`
+   * and hide the original items.
+   */
+  get canControlLightDom(): boolean {
+    return !this.#clones.size;
+  }
+
+  constructor(
+    public host: ReactiveControllerHost,
+    options: ActiveDescendantControllerOptions<Item>,
+  ) {
+    this.#options = {
+      getHTMLElement: options.getHTMLElement
+        ?? (() => host instanceof HTMLElement ? host : null),
+      getControllingElement: options.getControllingElement,
+      getItems: options.getItems,
+      setItemActive: options.setItemActive,
+    };
+    const instance = ActiveDescendantController.hosts.get(host);
+    if (instance) {
+      return instance as ActiveDescendantController<Item>;
+    }
+    ActiveDescendantController.hosts.set(host, this);
+    this.host.addController(this);
+    this.updateItems();
+  }
+
+  hostUpdated() {
+    const oldElement = this.#controllingElement;
+    const newElement = this.#options.getControllingElement();
+    if (oldElement !== newElement) {
+      oldElement?.removeEventListener('keydown', this.#onKeydown);
+      newElement?.addEventListener('keydown', this.#onKeydown);
+      this.#controllingElement = newElement;
+      // now that we know where the controlling element lives,
+      // we can tell whether the items need to be cloned
+      this.updateItems();
+    }
+  }
+
+  /**
+   * removes event listeners from controlling element
+   */
+  hostDisconnected() {
+    this.#controllingElement?.removeEventListener('keydown', this.#onKeydown);
+    this.#controllingElement = undefined;
+    this.#mo.disconnect();
+  }
+
+  /**
+   * Whether the controlling element can reference the item,
+   * either by IDREF or by element reflection
+   */
+  #canReference(item: Item) {
+    const controlling = this.#options.getControllingElement();
+    if (!controlling || item.getRootNode() === controlling.getRootNode()) {
+      return true;
+    } else {
+      return ActiveDescendantController.supportsCrossRootActiveDescendant
+        && isShadowIncludingAncestorRoot(controlling, item.getRootNode());
+    }
+  }
+
+  #cloneItem(item: Item): Item {
+    const clone = item.cloneNode(true) as Item;
+    clone.id = item.id;
+    // let the original item handle activation, e.g. listbox selection
+    clone.addEventListener('click', event => {
+      event.stopPropagation();
+      item.click();
+    });
+    return clone;
+  }
+
+  #updateClones() {
+    const shouldClone = this.#items.some(item => !this.#canReference(item));
+    const oldClones = this.#clones;
+    this.#clones = new Map();
+    this.#mo.disconnect();
+    if (shouldClone) {
+      for (const item of this.#items) {
+        this.#clones.set(item, oldClones.get(item) ?? this.#cloneItem(item));
+        this.#mo.observe(item, {
+          attributes: true,
+          characterData: true,
+          childList: true,
+          subtree: true,
+        });
+      }
+    }
+    if (oldClones.size !== this.#clones.size
+        || [...this.#clones].some(([item, clone]) => oldClones.get(item) !== clone)) {
+      this.host.requestUpdate();
+    }
+  }
+
+  /**
+   * keeps clones in sync with their original items
+   */
+  #onItemsMutation(records: MutationRecord[]) {
+    let changed = false;
+    for (const record of records) {
+      const item = this.#items.find(x => x === record.target || x.contains(record.target));
+      const clone = item && this.#clones.get(item);
+      if (!item || !clone) {
+        continue;
+      } else if (record.type === 'attributes'
+              && record.target === item
+              && record.attributeName
+              && record.attributeName !== 'id') {
+        const value = item.getAttribute(record.attributeName);
+        if (value == null) {
+          clone.removeAttribute(record.attributeName);
+        } else {
+          clone.setAttribute(record.attributeName, value);
+        }
+      } else {
+        const newClone = this.#cloneItem(item);
+        clone.replaceWith(newClone);
+        this.#clones.set(item, newClone);
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.#updateActiveDescendant();
+      this.host.requestUpdate();
+    }
+  }
+
+  /**
+   * handles keyboard navigation
+   */
+  #onKeydown = (event: Event) => {
+    if (!(event instanceof KeyboardEvent)
+        || event.ctrlKey
+        || event.altKey
+        || event.metaKey
+        || !this.#activatableItems.length) {
+      return;
+    }
+
+    const controlling = this.#options.getControllingElement();
+    // Home and End move the caret in text fields
+    const editable =
+         controlling instanceof HTMLInputElement
+      || controlling instanceof HTMLTextAreaElement
+      || !!controlling?.isContentEditable;
+
+    switch (event.key) {
+      case 'ArrowUp':
+        this.setActiveItem(this.prevItem);
+        break;
+      case 'ArrowDown':
+        this.setActiveItem(this.nextItem);
+        break;
+      case 'Home':
+        if (editable) {
+          return;
+        }
+        this.setActiveItem(this.firstItem);
+        break;
+      case 'End':
+        if (editable) {
+          return;
+        }
+        this.setActiveItem(this.lastItem);
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  };
+
+  #updateActiveDescendant() {
+    const controlling = this.#options.getControllingElement() as ActiveDescendantElement | null;
+    if (!controlling) {
+      return;
+    }
+    const item = this.#activeItem;
+    const rendered = item && (this.#clones.get(item) ?? item);
+    if (!rendered) {
+      controlling.removeAttribute('aria-activedescendant');
+      if (ActiveDescendantController.supportsCrossRootActiveDescendant) {
+        controlling.ariaActiveDescendantElement = null;
+      }
+    } else if (rendered.getRootNode() === controlling.getRootNode()) {
+      controlling.setAttribute('aria-activedescendant', rendered.id);
+    } else {
+      controlling.removeAttribute('aria-activedescendant');
+      controlling.ariaActiveDescendantElement = rendered;
+    }
+    rendered?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  #setItemActive(item: Item, active: boolean) {
+    this.#options.setItemActive?.(item, active);
+    const clone = this.#clones.get(item);
+    if (clone) {
+      this.#options.setItemActive?.(clone, active);
+    }
+  }
+
+  /**
+   * Sets the active item and points the controlling element's
+   * `aria-activedescendant` to it. DOM focus does not move.
+   */
+  setActiveItem(item?: Item): void {
+    const old = this.#activeItem;
+    if (old && old !== item) {
+      this.#setItemActive(old, false);
+    }
+    this.#activeItem = item;
+    if (item) {
+      this.#setItemActive(item, true);
+    }
+    this.#updateActiveDescendant();
+    this.host.requestUpdate();
+  }
+
+  /**
+   * Registers the items, cloning them if needed.
+   * Resets the active item if it is no longer activatable.
+   */
+  updateItems(items: Item[] = this.#options.getItems?.() ?? []) {
+    this.#items = items;
+    for (const item of this.#items) {
+      item.id ||= getRandomId();
+    }
+    this.#updateClones();
+    const { activeItem } = this;
+    if (activeItem && !this.#activatableItems.includes(activeItem)) {
+      this.setActiveItem(undefined);
+    } else {
+      this.#updateActiveDescendant();
+    }
+  }
+
+  /**
+   * When the controlling element can't reference the items
+   * (see `canControlLightDom`), returns clones of the items for the host
+   * to render in the controlling element's shadow root.
+   * Otherwise, returns an empty array.
+   * @example Rendering clones in the listbox
+   *          ```ts
+   *          html`
+   *            <div id="listbox">
+   *              ${this.#activedescendant.renderItemsToShadowRoot()}
+   *              <slot ?hidden="${!this.#activedescendant.canControlLightDom}"></slot>
+   *            </div>
+   *          `
+   *          ```
+   */
+  renderItemsToShadowRoot(): Item[] {
+    return this.#items.map(item => this.#clones.get(item)).filter(x => !!x) as Item[];
+  }
+}
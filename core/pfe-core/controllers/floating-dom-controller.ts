@@ -1,9 +1,9 @@
-import type { Placement } from '@floating-ui/dom';
+import type { Placement, VirtualElement } from '@floating-ui/dom';
 import type { ReactiveController, ReactiveControllerHost } from 'lit';
 import type { StyleInfo } from 'lit/directives/style-map.js';
 import type { OffsetOptions as Offset } from '@floating-ui/core';
 
-export type { Placement };
+export type { Placement, VirtualElement };
 
 import {
   autoUpdate,
@@ -14,15 +14,42 @@ import {
   arrow as arrowMiddleware,
 } from '@floating-ui/dom';
 
+const supportsPopover =
+  typeof HTMLElement !== 'undefined' && 'popover' in HTMLElement.prototype;
+
 type Lazy<T> = T | (() => T | null | undefined);
 
+/** Viewport coordinates, e.g. a `MouseEvent` */
+interface Point {
+  clientX: number;
+  clientY: number;
+}
+
 interface FloatingDOMControllerOptions {
   content: Lazy<HTMLElement>;
-  invoker?: Lazy<HTMLElement>;
+  /**
+   * The element at which to position the content. Defaults to the host.
+   * Virtual elements, i.e. anything with `getBoundingClientRect()`, position the content
+   * at e.g. a point or a text selection. See `createPointInvoker` and `createRangeInvoker`.
+   */
+  invoker?: Lazy<HTMLElement | VirtualElement>;
   arrow?: Lazy<HTMLElement>;
   shift?: boolean;
   padding?: number;
   fallbackPlacements?: Placement[];
+  /**
+   * Whether to render the content in the top layer, as a `popover`, so that it escapes
+   * `overflow: hidden` ancestors and `z-index` stacking contexts.
+   * Defaults to `FloatingDOMController.topLayer`.
+   */
+  topLayer?: boolean;
+  /**
+   * In the top layer, `auto` popovers close when the user presses Escape or clicks outside
+   * of them, or when another `auto` popover opens. Defaults to `auto`.
+   */
+  popover?: 'auto' | 'manual';
+  /** Called when the browser closes the content, e.g. when the user clicks outside of it */
+  onDismiss?(): void;
 }
 
 interface ShowOptions {
@@ -35,20 +62,74 @@ interface ShowOptions {
 export type Anchor = '' | 'top' | 'left' | 'bottom' | 'right';
 export type Alignment = 'center' | 'start' | 'end';
 
+/**
+ * Creates a virtual invoker at a point in the viewport, e.g. where the user clicked
+ * @param point viewport coordinates, e.g. a `MouseEvent`
+ * @param contextElement the element under the point. The invoker moves along with it,
+ *                       when the page scrolls
+ */
+export function createPointInvoker(
+  { clientX, clientY }: Point,
+  contextElement?: Element,
+): VirtualElement {
+  const origin = contextElement?.getBoundingClientRect();
+  return {
+    contextElement,
+    getBoundingClientRect() {
+      const rect = contextElement?.getBoundingClientRect();
+      const x = clientX + (rect && origin ? rect.left - origin.left : 0);
+      const y = clientY + (rect && origin ? rect.top - origin.top : 0);
+      return { x, y, left: x, top: y, right: x, bottom: y, width: 0, height: 0 };
+    },
+  };
+}
+
+/**
+ * Creates a virtual invoker at a range of the document, e.g. the user's text selection
+ * @param range the range, which the invoker copies
+ */
+export function createRangeInvoker(range: Range): VirtualElement {
+  const copy = range.cloneRange();
+  const node = copy.commonAncestorContainer;
+  return {
+    contextElement: node instanceof Element ? node : node.parentElement ?? undefined,
+    getBoundingClientRect: () => copy.getBoundingClientRect(),
+  };
+}
+
 /**
  * Controls floating DOM within a web component, e.g. tooltips and popovers
  */
 export class FloatingDOMController implements ReactiveController {
+  /**
+   * Whether floating DOM renders in the top layer, unless an element sets the `topLayer` option.
+   * This is the shared setting for `<pf-tooltip>`, `<pf-popover>`, `<pf-select>`, and
+   * `<pf-dropdown>`. Set it before they open. In browsers without the `popover` attribute,
+   * floating DOM uses fixed positioning instead.
+   */
+  static topLayer = false;
+
   #open = false;
   #opening = false;
   #cleanup?: () => void;
+  /** the invoker which `autoUpdate` observes */
+  #reference?: HTMLElement | VirtualElement;
+  /** the pointer's position, when following the cursor */
+  #cursor?: VirtualElement;
+  #showOptions: ShowOptions = {};
   #anchor?: Anchor;
   #alignment?: Alignment;
   #styles?: StyleInfo;
   #placement?: Placement;
   #options: FloatingDOMControllerOptions;
+  /** whether the user pressed the pointer on the invoker, which might close the popover */
+  #pointerOnInvoker = false;
 
   get #invoker() {
+    return this.#cursor ?? this.#optionsInvoker;
+  }
+
+  get #optionsInvoker() {
     const { invoker } = this.#options;
     return typeof invoker === 'function' ? invoker() : invoker;
   }
@@ -80,6 +161,14 @@ export class FloatingDOMController implements ReactiveController {
     return this.#open;
   }
 
+  /**
+   * When true, the floating DOM renders in the top layer, or with fixed positioning.
+   * Elements should position their content with `position: fixed` and no margin.
+   */
+  get topLayer(): boolean {
+    return this.#options.topLayer ?? FloatingDOMController.topLayer;
+  }
+
   /** The computed placement of the floating DOM */
   get placement(): Placement {
     return this.#placement ?? 'top';
@@ -89,6 +178,7 @@ export class FloatingDOMController implements ReactiveController {
    * Styles to apply to your element's container
    *
    * - `--_floating-content-translate`: translate to apply to floating content.
+   * - `--_floating-invoker-width`: width of the invoker, e.g. for content in the top layer.
    */
   get styles(): StyleInfo {
     return this.#styles ?? {};
@@ -108,6 +198,9 @@ export class FloatingDOMController implements ReactiveController {
 
   hostDisconnected() {
     this.#cleanup?.();
+    this.#cleanup = undefined;
+    this.#reference = undefined;
+    this.#hidePopover();
   }
 
   async #update(
@@ -130,7 +223,7 @@ export class FloatingDOMController implements ReactiveController {
       placement: _placement,
       middlewareData,
     } = await computePosition(invoker, content, {
-      strategy: 'absolute',
+      strategy: this.topLayer ? 'fixed' : 'absolute',
       placement,
       middleware: [
         offsetMiddleware(offset),
@@ -163,12 +256,14 @@ export class FloatingDOMController implements ReactiveController {
     [this.#anchor, this.#alignment] = (this.#placement.split('-') ?? []) as [Anchor, Alignment];
     this.#styles = {
       '--_floating-content-translate': `${x}px ${y}px`,
+      '--_floating-invoker-width': `${invoker.getBoundingClientRect().width}px`,
     };
     this.host.requestUpdate();
   }
 
   /** Show the floating DOM */
-  async show({ offset, placement, flip, fallbackPlacements }: ShowOptions = {}) {
+  async show(options: ShowOptions = {}) {
+    const { offset, placement, flip, fallbackPlacements } = options;
     const invoker = this.#invoker;
     const content = this.#content;
     if (!invoker || !content) {
@@ -176,9 +271,12 @@ export class FloatingDOMController implements ReactiveController {
     }
     if (!this.#opening) {
       this.#opening = true;
+      this.#showOptions = options;
+      this.#showPopover(content);
       const p = this.#update(placement, offset, flip, fallbackPlacements);
-      this.#cleanup ??= autoUpdate(invoker, content, () =>
-        this.#update(placement, offset, flip, fallbackPlacements));
+      if (!this.#cleanup || this.#optionsInvoker !== this.#reference) {
+        this.#autoUpdate(content);
+      }
       await p;
       this.#opening = false;
     }
@@ -186,6 +284,55 @@ export class FloatingDOMController implements ReactiveController {
     this.host.requestUpdate();
   }
 
+  /**
+   * Positions the floating DOM again, e.g. after its invoker changed, or after a virtual
+   * invoker moved. Does nothing while the floating DOM is hidden.
+   */
+  async update() {
+    const content = this.#content;
+    if (!this.#open || !content) {
+      return;
+    }
+    if (this.#optionsInvoker !== this.#reference) {
+      this.#autoUpdate(content);
+    }
+    const { placement, offset, flip, fallbackPlacements } = this.#showOptions;
+    await this.#update(placement, offset, flip, fallbackPlacements);
+  }
+
+  /**
+   * Positions the floating DOM at the pointer, and moves it along with the pointer,
+   * while the pointer is over the element
+   * @param element the element over which to follow the pointer
+   * @returns a function which stops following the pointer
+   */
+  followCursor(element: Element): () => void {
+    const onPointermove = (event: Event) => {
+      this.#cursor = createPointInvoker(event as PointerEvent, element);
+      this.update();
+    };
+    element.addEventListener('pointermove', onPointermove);
+    return () => {
+      element.removeEventListener('pointermove', onPointermove);
+      this.#cursor = undefined;
+      this.update();
+    };
+  }
+
+  /** Repositions the floating DOM when the invoker or the content move or resize */
+  #autoUpdate(content: HTMLElement) {
+    this.#cleanup?.();
+    this.#reference = this.#optionsInvoker ?? undefined;
+    if (!this.#reference) {
+      this.#cleanup = undefined;
+      return;
+    }
+    this.#cleanup = autoUpdate(this.#reference, content, () => {
+      const { placement, offset, flip, fallbackPlacements } = this.#showOptions;
+      return this.#update(placement, offset, flip, fallbackPlacements);
+    });
+  }
+
   /** Hide the floating DOM */
   async hide() {
     await this.host.updateComplete;
@@ -194,7 +341,54 @@ export class FloatingDOMController implements ReactiveController {
     }
     this.#open = false;
     this.#cleanup?.();
+    this.#cleanup = undefined;
+    this.#reference = undefined;
+    this.#hidePopover();
     this.host.requestUpdate();
     await this.host.updateComplete;
   }
+
+  /** Moves the content to the top layer, so it's not clipped by its ancestors */
+  #showPopover(content: HTMLElement) {
+    if (!this.topLayer || !supportsPopover || !content.isConnected) {
+      return;
+    }
+    content.popover = this.#options.popover ?? 'auto';
+    content.addEventListener('toggle', this.#onToggle as EventListener);
+    document.addEventListener('pointerdown', this.#onPointerdown, { capture: true });
+    if (!content.matches(':popover-open')) {
+      content.showPopover();
+    }
+  }
+
+  #hidePopover() {
+    const content = this.#content;
+    document.removeEventListener('pointerdown', this.#onPointerdown, { capture: true });
+    this.#pointerOnInvoker = false;
+    if (content?.popover) {
+      content.removeEventListener('toggle', this.#onToggle as EventListener);
+      if (content.matches(':popover-open')) {
+        content.hidePopover();
+      }
+      content.popover = null;
+    }
+  }
+
+  #onPointerdown = (event: PointerEvent) => {
+    const invoker = this.#optionsInvoker;
+    this.#pointerOnInvoker = invoker instanceof Element && event.composedPath().includes(invoker);
+  };
+
+  /** The browser closed an `auto` popover, e.g. when the user clicked outside of it */
+  #onToggle = (event: ToggleEvent) => {
+    const pointerOnInvoker = this.#pointerOnInvoker;
+    this.#pointerOnInvoker = false;
+    // clicking the invoker closes the popover, then toggles the element,
+    // so let the element close itself, rather than open again
+    if (event.newState !== 'closed' || !this.#open || pointerOnInvoker) {
+      return;
+    }
+    this.hide();
+    this.#options.onDismiss?.();
+  };
 }
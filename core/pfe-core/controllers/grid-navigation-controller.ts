@@ -0,0 +1,297 @@
+import type { ReactiveController, ReactiveControllerHost } from 'lit';
+
+/** elements which can take focus, inside of a cell */
+const FOCUSABLE = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input',
+  'select',
+  'textarea',
+  'iframe',
+  '[contenteditable]',
+  '[tabindex]',
+].join();
+
+/** types of input which take text, so need the arrow keys to edit their values */
+const TEXT_INPUT_TYPES = new Set([
+  'text',
+  'search',
+  'email',
+  'url',
+  'tel',
+  'password',
+  'number',
+  'date',
+  'datetime-local',
+  'month',
+  'time',
+  'week',
+]);
+
+const isVisible = (el: HTMLElement) =>
+  !el.hidden && !el.closest('[hidden]');
+
+/** focusable elements, and custom elements which delegate focus to their shadow roots */
+const isFocusable = (el: HTMLElement) =>
+  (el.matches(FOCUSABLE) || !!el.shadowRoot?.delegatesFocus) && !el.matches(':disabled');
+
+/** elements which take the arrow keys, like text fields, so can't be activated with Enter */
+const isEditable = (el: HTMLElement) =>
+    el instanceof HTMLInputElement ? TEXT_INPUT_TYPES.has(el.type)
+  : el instanceof HTMLTextAreaElement
+  || el instanceof HTMLSelectElement
+  || el.isContentEditable
+  || !!el.shadowRoot?.delegatesFocus;
+
+export interface GridNavigationControllerOptions<Cell extends HTMLElement> {
+  /** The grid element, which handles keyboard events. Defaults to the host */
+  getHTMLElement?(): HTMLElement | null;
+  /** The grid's cells, row by row */
+  getRows(): Cell[][];
+}
+
+/**
+ * Implements keyboard navigation for data grids, as described in WAI-ARIA practices,
+ * [Keyboard Interaction for Data Grids][dg]
+ *
+ * Only one cell is in the tab sequence. The arrow keys move focus between cells,
+ * Home and End move to the first and last cells of the row, and Ctrl+Home and Ctrl+End
+ * move to the first and last cells of the grid. The focusable elements inside the cells
+ * leave the tab sequence. Enter activates a cell's only button or link, or moves focus
+ * into the cell, as does F2. Escape moves focus back to the cell.
+ *
+ * [dg]: https://www.w3.org/WAI/ARIA/apg/patterns/grid/#keyboardinteraction-datagrids
+ */
+export class GridNavigationController<
+  Cell extends HTMLElement = HTMLElement
+> implements ReactiveController {
+  private static hosts = new WeakMap<ReactiveControllerHost, GridNavigationController>();
+
+  static of<Cell extends HTMLElement>(
+    host: ReactiveControllerHost,
+    options: GridNavigationControllerOptions<Cell>,
+  ): GridNavigationController<Cell> {
+    return new GridNavigationController(host, options);
+  }
+
+  /** cells, row by row */
+  #rows: Cell[][] = [];
+
+  #activeCell?: Cell;
+
+  /** the cell whose contents have focus, after pressing Enter or F2 */
+  #interactingCell?: Cell;
+
+  /** original tabindex attributes of the cells and their contents */
+  #tabindexes = new Map<HTMLElement, string | null>();
+
+  #element?: HTMLElement | null;
+
+  #options: Required<GridNavigationControllerOptions<Cell>>;
+
+  /** The cell which is in the tab sequence */
+  get activeCell(): Cell | undefined {
+    return this.#activeCell;
+  }
+
+  /** The grid's visible cells, row by row */
+  get rows(): Cell[][] {
+    return this.#rows;
+  }
+
+  constructor(
+    public host: ReactiveControllerHost,
+    options: GridNavigationControllerOptions<Cell>,
+  ) {
+    this.#options = {
+      getHTMLElement: options.getHTMLElement
+        ?? (() => host instanceof HTMLElement ? host : null),
+      getRows: options.getRows,
+    };
+    const instance = GridNavigationController.hosts.get(host);
+    if (instance) {
+      return instance as GridNavigationController<Cell>;
+    }
+    GridNavigationController.hosts.set(host, this);
+    this.host.addController(this);
+  }
+
+  hostConnected() {
+    this.#element = this.#options.getHTMLElement();
+    this.#element?.addEventListener('keydown', this.#onKeydown);
+    this.#element?.addEventListener('focusin', this.#onFocusin);
+  }
+
+  hostDisconnected() {
+    this.#element?.removeEventListener('keydown', this.#onKeydown);
+    this.#element?.removeEventListener('focusin', this.#onFocusin);
+    this.#element = undefined;
+  }
+
+  hostUpdated() {
+    this.updateCells();
+  }
+
+  /**
+   * Takes the cells, and the focusable elements inside of them, out of the tab sequence,
+   * except for the active cell. Restores the tabindex of elements which are no longer cells.
+   */
+  updateCells(rows: Cell[][] = this.#options.getRows()) {
+    this.#rows = rows
+        .map(row => row.filter(isVisible))
+        .filter(row => row.length);
+    const cells = this.#rows.flat();
+    const managed = new Set<HTMLElement>([
+      ...cells,
+      ...cells.flatMap(cell => this.#getContents(cell)),
+    ]);
+    for (const [element, tabindex] of this.#tabindexes) {
+      if (!managed.has(element)) {
+        this.#tabindexes.delete(element);
+        if (tabindex == null) {
+          element.removeAttribute('tabindex');
+        } else {
+          element.setAttribute('tabindex', tabindex);
+        }
+      }
+    }
+    for (const element of managed) {
+      if (!this.#tabindexes.has(element)) {
+        this.#tabindexes.set(element, element.getAttribute('tabindex'));
+      }
+    }
+    const active = this.#activeCell && cells.includes(this.#activeCell) ? this.#activeCell
+      : cells[0];
+    this.#setTabindexes(active);
+  }
+
+  /**
+   * Sets the active cell, and focuses it
+   * @param cell the cell to focus
+   */
+  setActiveCell(cell?: Cell): void {
+    this.#interactingCell = undefined;
+    this.#setTabindexes(cell);
+    cell?.focus();
+  }
+
+  #setTabindexes(active?: Cell) {
+    this.#activeCell = active;
+    for (const cell of this.#rows.flat()) {
+      cell.tabIndex = cell === active ? 0 : -1;
+      const interacting = cell === this.#interactingCell;
+      for (const element of this.#getContents(cell)) {
+        if (!interacting) {
+          element.tabIndex = -1;
+        } else {
+          const tabindex = this.#tabindexes.get(element);
+          if (tabindex == null) {
+            element.removeAttribute('tabindex');
+          } else {
+            element.setAttribute('tabindex', tabindex);
+          }
+        }
+      }
+    }
+  }
+
+  /** focusable elements inside the cell, including in its shadow root */
+  #getContents(cell: Cell): HTMLElement[] {
+    return [
+      ...cell.querySelectorAll<HTMLElement>('*'),
+      ...cell.shadowRoot?.querySelectorAll<HTMLElement>('*') ?? [],
+    ].filter(isFocusable);
+  }
+
+  #getCell(event: Event) {
+    const cells = this.#rows.flat();
+    return event.composedPath().find(node => cells.includes(node as Cell)) as Cell | undefined;
+  }
+
+  #onFocusin = (event: FocusEvent) => {
+    const cell = this.#getCell(event);
+    const [target] = event.composedPath();
+    // e.g. clicking on a cell, or on a text field inside one
+    const interacting = target !== cell ? cell : undefined;
+    if (cell && (cell !== this.#activeCell || interacting !== this.#interactingCell)) {
+      this.#interactingCell = interacting;
+      this.#setTabindexes(cell);
+    }
+  };
+
+  #onKeydown = (event: KeyboardEvent) => {
+    const cell = this.#getCell(event);
+    if (!cell || event.altKey || event.metaKey) {
+      return;
+    }
+    const [target] = event.composedPath();
+    if (target !== cell) {
+      // focus is on the cell's contents
+      if (event.key === 'Escape') {
+        this.setActiveCell(cell);
+        event.preventDefault();
+        event.stopPropagation();
+      }
+      return;
+    }
+    const rowIndex = this.#rows.findIndex(row => row.includes(cell));
+    const row = this.#rows[rowIndex];
+    const columnIndex = row.indexOf(cell);
+    const cellAt = (rowIndex: number, columnIndex: number) => {
+      const row = this.#rows[Math.max(0, Math.min(rowIndex, this.#rows.length - 1))];
+      return row[Math.max(0, Math.min(columnIndex, row.length - 1))];
+    };
+    let next: Cell | undefined;
+    switch (event.key) {
+      case 'ArrowLeft':
+        next = cellAt(rowIndex, columnIndex - 1);
+        break;
+      case 'ArrowRight':
+        next = cellAt(rowIndex, columnIndex + 1);
+        break;
+      case 'ArrowUp':
+        next = cellAt(rowIndex - 1, columnIndex);
+        break;
+      case 'ArrowDown':
+        next = cellAt(rowIndex + 1, columnIndex);
+        break;
+      case 'Home':
+        next = event.ctrlKey ? cellAt(0, 0) : row[0];
+        break;
+      case 'End':
+        next = event.ctrlKey ? cellAt(Infinity, Infinity) : row.at(-1);
+        break;
+      case 'Enter':
+      case 'F2':
+        this.#interact(cell, event.key === 'Enter');
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    if (next) {
+      this.setActiveCell(next);
+    }
+  };
+
+  /**
+   * Activates the cell's only button or link, or moves focus into the cell
+   * @param cell the active cell
+   * @param activate whether to activate a single button or link, rather than focusing it
+   */
+  #interact(cell: Cell, activate: boolean) {
+    const contents = this.#getContents(cell);
+    const [first] = contents;
+    if (!first) {
+      return;
+    } else if (activate && contents.length === 1 && !isEditable(first)) {
+      first.click();
+    } else {
+      this.#interactingCell = cell;
+      this.#setTabindexes(cell);
+      first.focus();
+    }
+  }
+}
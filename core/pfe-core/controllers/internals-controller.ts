@@ -59,13 +59,11 @@ function getLabelText(label: HTMLElement) {
 export class InternalsController implements ReactiveController, ARIAMixin {
   private static instances = new WeakMap<ReactiveControllerHost, InternalsController>();
 
-  declare readonly form: ElementInternals['form'];
   declare readonly shadowRoot: ElementInternals['shadowRoot'];
 
   // https://developer.mozilla.org/en-US/docs/Web/API/ElementInternals/states
   declare readonly states: unknown;
   declare readonly willValidate: ElementInternals['willValidate'];
-  declare readonly validationMessage: ElementInternals['validationMessage'];
 
   public static of(
     host: ReactiveControllerHost,
@@ -83,6 +81,14 @@ export class InternalsController implements ReactiveController, ARIAMixin {
     return instance;
   }
 
+  /**
+   * Gets the host's controller, if it has one, without attaching internals to it.
+   * Use this to set ARIA on other custom elements, which keep their semantics in their internals.
+   */
+  public static get(host: ReactiveControllerHost | Element): InternalsController | undefined {
+    return InternalsController.instances.get(host as ReactiveControllerHost);
+  }
+
   @aria role: string | null = null;
 
   @aria ariaActivedescendant: string | null = null;
@@ -130,19 +136,19 @@ export class InternalsController implements ReactiveController, ARIAMixin {
   /** WARNING: be careful of cross-root ARIA browser support */
   @aria ariaActiveDescendantElement: Element | null = null;
   /** WARNING: be careful of cross-root ARIA browser support */
-  @aria ariaControlsElements: Element | null = null;
+  @aria ariaControlsElements: Element[] | null = null;
   /** WARNING: be careful of cross-root ARIA browser support */
-  @aria ariaDescribedByElements: Element | null = null;
+  @aria ariaDescribedByElements: Element[] | null = null;
   /** WARNING: be careful of cross-root ARIA browser support */
-  @aria ariaDetailsElements: Element | null = null;
+  @aria ariaDetailsElements: Element[] | null = null;
   /** WARNING: be careful of cross-root ARIA browser support */
-  @aria ariaErrorMessageElements: Element | null = null;
+  @aria ariaErrorMessageElements: Element[] | null = null;
   /** WARNING: be careful of cross-root ARIA browser support */
-  @aria ariaFlowToElements: Element | null = null;
+  @aria ariaFlowToElements: Element[] | null = null;
   /** WARNING: be careful of cross-root ARIA browser support */
-  @aria ariaLabelledByElements: Element | null = null;
+  @aria ariaLabelledByElements: Element[] | null = null;
   /** WARNING: be careful of cross-root ARIA browser support */
-  @aria ariaOwnsElements: Element | null = null;
+  @aria ariaOwnsElements: Element[] | null = null;
 
   /** True when the control is disabled via it's containing fieldset element */
   get formDisabled() {
@@ -157,6 +163,14 @@ export class InternalsController implements ReactiveController, ARIAMixin {
     return this.internals.validity;
   }
 
+  get validationMessage() {
+    return this.internals.validationMessage;
+  }
+
+  get form() {
+    return this.internals.form;
+  }
+
   /** A best-attempt based on observed behaviour in FireFox 115 on fedora 38 */
   get computedLabelText() {
     return this.internals.ariaLabel
@@ -1,5 +1,7 @@
 import type { ReactiveController, ReactiveControllerHost } from 'lit';
 
+import { TypeaheadController, type TypeaheadControllerOptions } from './typeahead-controller.js';
+
 export interface ListboxAccessibilityController<
   Item extends HTMLElement
 > extends ReactiveController {
@@ -9,8 +11,13 @@ export interface ListboxAccessibilityController<
   prevItem?: Item;
   firstItem?: Item;
   lastItem?: Item;
+  /**
+   * element which retains DOM focus while the listbox is in use, e.g. a combobox input.
+   * Only needed when focus does not move to the items themselves.
+   */
+  controllingElement?: HTMLElement | null;
   updateItems(items: Item[]): void;
-  setActiveItem(item: Item): void;
+  setActiveItem(item?: Item): void;
 }
 
 /**
@@ -22,8 +29,36 @@ export interface ListboxConfigOptions<T extends HTMLElement> {
   getHTMLElement(): HTMLElement | null;
   requestSelect(option: T, force?: boolean): boolean;
   isSelected(option: T): boolean;
+  /**
+   * The text which type-to-select matches against.
+   * Defaults to the item's text content
+   */
+  getItemText?(item: T): string;
+  /**
+   * Whether the item matches the characters the user typed.
+   * By default, items whose text starts with the typed characters match, ignoring case
+   */
+  typeaheadMatcher?(item: T, query: string): boolean;
+  /** How many items PageUp and PageDown move by. Defaults to 10 */
+  pageSize?: number;
+  /**
+   * Elements which group items, e.g. `<pf-option-group>`.
+   * Items belong to the group which contains them.
+   * Groups are not items, so keyboard navigation skips over them.
+   */
+  getGroups?(): HTMLElement[];
+  /** Accessible label for a group, e.g. its heading text */
+  getGroupLabel?(group: HTMLElement): string | null | undefined;
+  /**
+   * The element which labels a group, e.g. its heading.
+   * In multiselectable listboxes, clicking it selects or deselects the group's options.
+   */
+  getGroupLabelElement?(group: HTMLElement): Element | null | undefined;
 }
 
+const isNavigable = (item: HTMLElement) =>
+  !item.hidden && !item.ariaHidden;
+
 let constructingAllowed = false;
 
 /**
@@ -40,8 +75,17 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
     options: ListboxConfigOptions<Item>,
   ): ListboxController<Item> {
     constructingAllowed = true;
+    const existing = ListboxController.instances.get(host);
+    if (existing) {
+      // e.g. when the host switches between single and multi select,
+      // or between roving tabindex and active descendant
+      existing.hostDisconnected();
+      existing._options = options;
+      options.a11yController.updateItems(existing.options);
+      existing.hostConnected();
+    }
     const instance: ListboxController<Item> =
-      ListboxController.instances.get(host) ?? new ListboxController<Item>(host, options);
+      existing ?? new ListboxController<Item>(host, options);
     constructingAllowed = false;
     return instance;
   }
@@ -67,6 +111,7 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
       );
     }
     ListboxController.instances.set(host, this);
+    this.#typeahead = new TypeaheadController<Item>(host, this.#getTypeaheadOptions());
     this.host.addController(this);
     if (this.element?.isConnected) {
       this.hostConnected();
@@ -81,6 +126,12 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
 
   #listening = false;
 
+  /** element which retains DOM focus, if any, e.g. a combobox input */
+  #controllingElement?: HTMLElement | null;
+
+  /** type-to-select, and PageUp and PageDown */
+  #typeahead: TypeaheadController<Item>;
+
   /** Whether listbox is disabled */
   disabled = false;
 
@@ -110,6 +161,11 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
     return this._options.multi ? this.selectedOptions : firstItem;
   }
 
+  /** Elements which group options */
+  get groups(): HTMLElement[] {
+    return this._options.getGroups?.() ?? [];
+  }
+
   private get element() {
     return this._options.getHTMLElement();
   }
@@ -121,11 +177,15 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
       this.element?.addEventListener('focus', this.#onFocus);
       this.element?.addEventListener('keydown', this.#onKeydown);
       this.element?.addEventListener('keyup', this.#onKeyup);
+      this.#listenToControllingElement();
       this.#listening = true;
     }
   }
 
   hostUpdated() {
+    if (this.#listening) {
+      this.#listenToControllingElement();
+    }
     this.element?.setAttribute('role', 'listbox');
     this.element?.setAttribute('aria-disabled', String(!!this.disabled));
     this.element?.setAttribute('aria-multi-selectable', String(!!this._options.multi));
@@ -136,6 +196,15 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
         option.removeAttribute('aria-selected');
       }
     }
+    for (const group of this.groups) {
+      if (!group.hasAttribute('role')) {
+        group.setAttribute('role', 'group');
+      }
+      const label = this._options.getGroupLabel?.(group);
+      if (label && !group.hasAttribute('aria-labelledby')) {
+        group.setAttribute('aria-label', label);
+      }
+    }
   }
 
   hostDisconnected() {
@@ -143,7 +212,48 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
     this.element?.removeEventListener('focus', this.#onFocus);
     this.element?.removeEventListener('keydown', this.#onKeydown);
     this.element?.removeEventListener('keyup', this.#onKeyup);
+    this.#controllingElement?.removeEventListener('keydown', this.#onKeydown);
+    this.#controllingElement?.removeEventListener('keyup', this.#onKeyup);
+    this.#controllingElement = undefined;
     this.#listening = false;
+    this.#typeahead.clear();
+  }
+
+  /**
+   * when focus stays on e.g. a combobox input, keyboard events come from that element
+   */
+  #listenToControllingElement() {
+    const element = this._options.a11yController.controllingElement;
+    if (element !== this.#controllingElement) {
+      this.#controllingElement?.removeEventListener('keydown', this.#onKeydown);
+      this.#controllingElement?.removeEventListener('keyup', this.#onKeyup);
+      element?.addEventListener('keydown', this.#onKeydown);
+      element?.addEventListener('keyup', this.#onKeyup);
+      this.#controllingElement = element;
+    }
+  }
+
+  /**
+   * options for type-to-select and PageUp/PageDown,
+   * which read from the current options, as `of()` may replace them
+   */
+  #getTypeaheadOptions(): TypeaheadControllerOptions<Item> {
+    const options = () => this._options;
+    return {
+      getItems: () => options().a11yController.items.filter(isNavigable),
+      getActiveItem: () => options().a11yController.activeItem,
+      setActiveItem: item => options().a11yController.setActiveItem(item),
+      isDisabled: item => !this.#getEnabledOptions([item]).length,
+      get getItemText() {
+        return options().getItemText;
+      },
+      get typeaheadMatcher() {
+        return options().typeaheadMatcher;
+      },
+      get pageSize() {
+        return options().pageSize;
+      },
+    };
   }
 
   #getEnabledOptions(options = this.options) {
@@ -156,6 +266,23 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
         .find(node => this.#items.includes(node as Item)) as Item | undefined;
   }
 
+  /** the group whose label element the event came from, if any */
+  #getEventGroup(event: Event): HTMLElement | undefined {
+    const path = event.composedPath();
+    return this.groups.find(group => {
+      const label = this._options.getGroupLabelElement?.(group);
+      return !!label && path.includes(label);
+    });
+  }
+
+  /**
+   * whether the event came from the controlling element (e.g. a combobox input)
+   * rather than from an option
+   */
+  #isFromControllingElement(event: Event) {
+    return !!this.#controllingElement && event.composedPath().includes(this.#controllingElement);
+  }
+
 
   /**
    * handles focusing on an option:
@@ -175,7 +302,11 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
    */
   #onClick = (event: MouseEvent) => {
     const target = this.#getEventOption(event);
-    if (target) {
+    const group = !target && this._options.multi ? this.#getEventGroup(event) : undefined;
+    if (group) {
+      // clicking a group's label toggles the whole group
+      this.toggleGroup(group);
+    } else if (target) {
       const oldValue = this.value;
       if (this._options.multi) {
         if (!event.shiftKey) {
@@ -201,7 +332,8 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
    * track whether shift key is being used for multiselectable listbox
    */
   #onKeyup = (event: KeyboardEvent) => {
-    const target = this.#getEventOption(event);
+    const target = this.#getEventOption(event)
+      ?? (this.#isFromControllingElement(event) ? this.activeItem : undefined);
     if (target && event.shiftKey && this._options.multi) {
       if (this.#shiftStartingItem && target) {
         this.#updateMultiselect(target, this.#shiftStartingItem);
@@ -215,10 +347,13 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
   /**
    * handles keydown:
    * filters listbox by keyboard event when slotted option has focus,
-   * or by external element such as a text field
+   * or by external element such as a text field.
+   * Arrow keys, Home, and End are handled by the accessibility controller.
    */
   #onKeydown = (event: KeyboardEvent) => {
-    const target = this.#getEventOption(event);
+    const fromControllingElement = this.#isFromControllingElement(event);
+    const target = this.#getEventOption(event)
+      ?? (fromControllingElement ? this._options.a11yController.activeItem : undefined);
 
     if (!target || event.altKey || event.metaKey || !this.options.includes(target)) {
       return;
@@ -232,17 +367,40 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
       this.#shiftStartingItem = this.activeItem ?? null;
     }
 
+    // an external text input types characters, rather than selecting options
+    if (!fromControllingElement && !event.ctrlKey && this.#typeahead.typeahead(event.key)) {
+      event.preventDefault();
+      return;
+    }
+
     switch (event.key) {
       case 'a':
       case 'A':
-        if (event.ctrlKey) {
-          // ctrl+A selects all options
-          this.#updateMultiselect(first, last, true);
+        // in a text field, ctrl+A selects the text
+        if (event.ctrlKey && !fromControllingElement) {
+          const group = event.shiftKey ? this.getItemGroup(target) : undefined;
+          if (group) {
+            // ctrl+shift+A selects all options in the group
+            this.toggleGroup(group);
+          } else {
+            // ctrl+A selects all options
+            this.#updateMultiselect(first, last, true);
+          }
           event.preventDefault();
         }
         break;
-      case 'Enter':
+      case 'PageUp':
+      case 'PageDown':
+        this.#typeahead.pageJump(event.key === 'PageUp' ? -1 : 1);
+        event.preventDefault();
+        break;
       case ' ':
+        // an external text input types spaces
+        if (fromControllingElement) {
+          break;
+        }
+        // falls through
+      case 'Enter':
         // enter and space are only applicable if a listbox option is clicked
         // an external text input should not trigger multiselect
         if (this._options.multi) {
@@ -332,6 +490,40 @@ export class ListboxController<Item extends HTMLElement> implements ReactiveCont
     }
   }
 
+  /**
+   * The group which contains an option, if any
+   * @param option listbox option
+   */
+  getItemGroup(option: Item): HTMLElement | undefined {
+    return this.groups.find(group => group.contains(option));
+  }
+
+  /**
+   * The options which belong to a group
+   * @param group grouping element, see `getGroups`
+   */
+  getGroupItems(group: HTMLElement): Item[] {
+    return this.options.filter(option => group.contains(option));
+  }
+
+  /**
+   * Selects all of a group's enabled options, or deselects them if they are all already selected.
+   * Only applies to multiselectable listboxes.
+   * @param group grouping element, see `getGroups`
+   * @param force whether to select (true) or deselect (false) the group's options
+   */
+  toggleGroup(group: HTMLElement, force?: boolean) {
+    if (!this._options.multi || this.disabled) {
+      return;
+    }
+    const options = this.#getEnabledOptions(this.getGroupItems(group));
+    const selected = force ?? !options.every(option => this._options.isSelected(option));
+    for (const option of options) {
+      this._options.requestSelect(option, selected);
+    }
+    this.host.requestUpdate();
+  }
+
   /**
    * register's the host's Item elements as listbox controller items
    */
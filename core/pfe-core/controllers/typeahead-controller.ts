@@ -0,0 +1,139 @@
+import type { ReactiveController, ReactiveControllerHost } from 'lit';
+
+export interface TypeaheadControllerOptions<Item extends HTMLElement> {
+  /** The items which the user can move to, in order */
+  getItems(): Item[];
+  /** The currently active item, if any */
+  getActiveItem(): Item | undefined;
+  /** Moves to the item, e.g. by focusing it */
+  setActiveItem(item: Item): void;
+  /** Whether the item is disabled. Type-to-select and PageUp/PageDown skip disabled items */
+  isDisabled?(item: Item): boolean;
+  /**
+   * The text which type-to-select matches against.
+   * Defaults to the item's text content
+   */
+  getItemText?(item: Item): string;
+  /**
+   * Whether the item matches the characters the user typed.
+   * By default, items whose text starts with the typed characters match, ignoring case
+   */
+  typeaheadMatcher?(item: Item, query: string): boolean;
+  /** How many items PageUp and PageDown move by. Defaults to 10 */
+  pageSize?: number;
+}
+
+/** Milliseconds after the last keypress to clear the type-to-select buffer */
+const TYPEAHEAD_TIMEOUT = 500;
+
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Implements type-to-select and PageUp/PageDown for lists of items, like listbox options
+ * or menu items, as described in WAI-ARIA practices, [Keyboard Navigation Inside
+ * Components][kbd]. The host handles the keyboard events, and calls `typeahead()` or
+ * `pageJump()`.
+ *
+ * [kbd]: https://www.w3.org/WAI/ARIA/apg/practices/keyboard-interface/#kbd_general_within
+ */
+export class TypeaheadController<Item extends HTMLElement> implements ReactiveController {
+  /** characters typed in quick succession */
+  #buffer = '';
+
+  #timeout?: ReturnType<typeof setTimeout>;
+
+  #options: TypeaheadControllerOptions<Item>;
+
+  constructor(
+    public host: ReactiveControllerHost,
+    options: TypeaheadControllerOptions<Item>,
+  ) {
+    this.#options = options;
+    host.addController(this);
+  }
+
+  hostDisconnected() {
+    this.clear();
+  }
+
+  /**
+   * Type-to-select: moves to the next item whose text matches the characters typed so far.
+   * Typing the same character repeatedly cycles through the items which start with it.
+   * @param key the `key` of the keydown event
+   * @returns whether the key was handled
+   */
+  typeahead(key: string): boolean {
+    // printable characters only; space only continues a search in progress
+    if (key.length !== 1 || (key === ' ' && !this.#buffer)) {
+      return false;
+    }
+
+    clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => this.clear(), TYPEAHEAD_TIMEOUT);
+    this.#buffer += key;
+
+    const buffer = this.#buffer;
+    const repeated = [...buffer].every(char => char === buffer[0]);
+    const items = this.#options.getItems().filter(item => !this.#isDisabled(item));
+    const active = this.#options.getActiveItem();
+    const activeIndex = active ? items.indexOf(active) : -1;
+
+    // when starting a new search, or cycling, start after the active item,
+    // otherwise, the active item may still match the longer query
+    const offset = buffer.length === 1 || repeated ? 1 : 0;
+    const ordered = [
+      ...items.slice(activeIndex + offset),
+      ...items.slice(0, activeIndex + offset),
+    ];
+
+    const match =
+         ordered.find(item => this.#matches(item, buffer))
+      ?? (repeated ? ordered.find(item => this.#matches(item, buffer[0])) : undefined);
+
+    if (match && match !== active) {
+      this.#options.setActiveItem(match);
+    }
+
+    return true;
+  }
+
+  /**
+   * Moves the active item by a page of items, stopping at the first or last enabled item.
+   * When the item a page away is disabled, moves on to the next enabled item,
+   * or back to the nearest one at the end of the list.
+   * @param direction -1 for PageUp, 1 for PageDown
+   */
+  pageJump(direction: -1 | 1) {
+    const items = this.#options.getItems();
+    const active = this.#options.getActiveItem();
+    const activeIndex = active ? items.indexOf(active) : -1;
+    const pageSize = this.#options.pageSize ?? DEFAULT_PAGE_SIZE;
+    const index = Math.max(0, Math.min(items.length - 1, activeIndex + direction * pageSize));
+    const after = direction > 0 ? items.slice(index) : items.slice(0, index + 1).reverse();
+    const before = direction > 0 ? items.slice(0, index).reverse() : items.slice(index + 1);
+    const isEnabled = (item: Item) => !this.#isDisabled(item);
+    const item = after.find(isEnabled) ?? before.find(isEnabled);
+    if (item && item !== active) {
+      this.#options.setActiveItem(item);
+    }
+  }
+
+  /** Ends the type-to-select search, so the next character starts a new one */
+  clear() {
+    clearTimeout(this.#timeout);
+    this.#buffer = '';
+  }
+
+  #isDisabled(item: Item) {
+    return !!this.#options.isDisabled?.(item);
+  }
+
+  #matches(item: Item, query: string) {
+    if (this.#options.typeaheadMatcher) {
+      return this.#options.typeaheadMatcher(item, query);
+    } else {
+      const text = this.#options.getItemText?.(item) ?? item.textContent ?? '';
+      return text.trim().toLowerCase().startsWith(query.toLowerCase());
+    }
+  }
+}
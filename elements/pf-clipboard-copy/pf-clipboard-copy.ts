@@ -99,7 +99,7 @@ export class PfClipboardCopy extends BaseClipboardCopy {
               .value="${this.value}"
               @input="${this.#onChange}"
               aria-label="${this.textAriaLabel}">
-          <pf-tooltip>
+          <pf-tooltip aria="none">
             <pf-button id="copy-button"
                         plain
                         variant="${ifDefined(!(inline || compact) ? 'control' : undefined)}"
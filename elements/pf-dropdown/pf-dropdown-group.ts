@@ -2,10 +2,13 @@ import { LitElement, html } from 'lit';
 import { customElement } from 'lit/decorators/custom-element.js';
 import { property } from 'lit/decorators/property.js';
 
+import { PfDropdownItem, PfDropdownItemChangeEvent } from './pf-dropdown-item.js';
+
 import styles from './pf-dropdown-group.css';
 
 /**
  * Represents a group of items for a dropdown component.
+ * Only one of the group's radio items can be checked at a time.
  * @slot
  *     Content for the group of dropdown items
  */
@@ -23,12 +26,38 @@ export class PfDropdownGroup extends LitElement {
    */
   @property({ reflect: true }) label?: string;
 
+  constructor() {
+    super();
+    this.addEventListener('change', this.#onChange);
+  }
+
   render() {
     return html`
       <p ?hidden="${!this.label}" role="presentation">${this.label}</p>
       <slot></slot>
     `;
   }
+
+  /** whether the item belongs to this group, rather than to a submenu or a nested group */
+  #isOwnItem(item: Element) {
+    return item.parentElement?.closest('pf-dropdown-menu, pf-dropdown-group') === this;
+  }
+
+  /** unchecks the group's other radio items, when the user checks one */
+  #onChange = (event: Event) => {
+    const { target } = event;
+    if (event instanceof PfDropdownItemChangeEvent
+        && target instanceof PfDropdownItem
+        && target.type === 'radio'
+        && target.checked
+        && this.#isOwnItem(target)) {
+      for (const item of this.querySelectorAll('pf-dropdown-item')) {
+        if (item !== target && item.type === 'radio' && this.#isOwnItem(item)) {
+          item.checked = false;
+        }
+      }
+    }
+  };
 }
 
 declare global {
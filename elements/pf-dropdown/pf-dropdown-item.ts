@@ -2,12 +2,17 @@ import { LitElement, html, type PropertyValues } from 'lit';
 import { customElement } from 'lit/decorators/custom-element.js';
 import { property } from 'lit/decorators/property.js';
 import { classMap } from 'lit/directives/class-map.js';
+import { styleMap } from 'lit/directives/style-map.js';
+import { ifDefined } from 'lit/directives/if-defined.js';
 import { query } from 'lit/decorators/query.js';
+import { queryAssignedElements } from 'lit/decorators/query-assigned-elements.js';
 import { consume } from '@lit/context';
 
 import { InternalsController } from '@patternfly/pfe-core/controllers/internals-controller.js';
+import { FloatingDOMController } from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
 
 import { context, type PfDropdownContext } from './context.js';
+import type { PfDropdownMenu } from './pf-dropdown-menu.js';
 
 import styles from './pf-dropdown-item.css';
 
@@ -17,6 +22,15 @@ export class DropdownItemChange extends Event {
   }
 }
 
+export class PfDropdownItemChangeEvent extends Event {
+  constructor(
+    /** whether the user checked or unchecked the item */
+    public checked: boolean,
+  ) {
+    super('change', { bubbles: true });
+  }
+}
+
 /**
  * Represents an item for a dropdown component.
  * @slot icon
@@ -25,6 +39,10 @@ export class DropdownItemChange extends Event {
  *      Optional slot for item description
  * @slot -
  *      Content for the dropdown item
+ * @slot submenu
+ *      Optional `<pf-dropdown-menu>` which opens beside the item, as a submenu
+ * @fires {PfDropdownItemChangeEvent} change - when the user checks or unchecks a checkbox
+ *        or radio item
  * @cssprop {<length>} --pf-c-dropdown__menu-item--FontSize
  *          Dropdown item font size
  *          {@default `1rem`}
@@ -87,6 +105,18 @@ export class PfDropdownItem extends LitElement {
   /** Item description; overridden by `description` slot */
   @property() description?: string;
 
+  /**
+   * Makes the item a `menuitemcheckbox` or a `menuitemradio`, which the user can check.
+   * Checking a radio item unchecks the other radio items in its `<pf-dropdown-group>`.
+   */
+  @property({ reflect: true }) type?: 'checkbox' | 'radio';
+
+  /** Whether a checkbox or radio item is checked */
+  @property({ type: Boolean, reflect: true }) checked = false;
+
+  /** Whether the item's submenu is open */
+  @property({ type: Boolean, reflect: true }) expanded = false;
+
   @consume({ context, subscribe: true })
   @property({ attribute: false })
   private ctx?: PfDropdownContext;
@@ -94,29 +124,215 @@ export class PfDropdownItem extends LitElement {
   /** @internal */
   @query('#item') menuItem!: HTMLElement;
 
+  @queryAssignedElements({ slot: 'submenu', selector: 'pf-dropdown-menu' })
+  private _submenus!: PfDropdownMenu[];
+
+  #float = new FloatingDOMController(this, {
+    content: () => this.submenu,
+    onDismiss: () => this.#closeSubmenu(),
+  });
+
+  /** The item's submenu, if it has one */
+  get submenu(): PfDropdownMenu | undefined {
+    return this._submenus?.at(0);
+  }
+
+  constructor() {
+    super();
+    this.addEventListener('keydown', this.#onKeydown);
+    this.addEventListener('click', this.#onClick);
+    this.addEventListener('pointerenter', this.#onPointerenter);
+    this.addEventListener('pointerleave', this.#onPointerleave);
+    this.addEventListener('focusout', this.#onFocusout);
+  }
+
   protected override updated(changed: PropertyValues<this>): void {
     if (changed.has('href')) {
       this.dispatchEvent(new DropdownItemChange());
     }
+    if (changed.has('expanded')) {
+      this.#expandedChanged();
+    }
   }
 
   render() {
     const { disabled } = this.ctx ?? { disabled: false };
     const isDisabled = !!this.disabled || !!this.ctx?.disabled;
+    const { anchor, alignment, styles, topLayer } = this.#float;
+    const submenu = !!this.submenu;
+    const haspopup = submenu ? 'menu' : undefined;
+    const expanded = submenu ? String(this.expanded) as 'true' | 'false' : undefined;
+    const { checked, type } = this;
+    const checkable = !!type && !this.href;
     return html`
-      <div id="menuitem" role="none" class="${classMap({ disabled })}">${this.href ? html`
-        <a id="item" role="menuitem" href="${this.href}" aria-disabled="${isDisabled}">
+      <div id="menuitem" role="none" class="${classMap({ disabled, submenu, checked })}">${this.href ? html`
+        <a id="item"
+           role="menuitem"
+           href="${this.href}"
+           aria-disabled="${isDisabled}"
+           aria-haspopup="${ifDefined(haspopup)}"
+           aria-expanded="${ifDefined(expanded)}">
           <slot name="icon"></slot>
           <slot></slot>
         </a>
         ` : html`
-        <div id="item" role="menuitem" aria-disabled="${isDisabled}">
+        <div id="item"
+             role="${checkable ? `menuitem${type}` : 'menuitem'}"
+             aria-disabled="${isDisabled}"
+             aria-checked="${ifDefined(checkable ? String(checked) : undefined)}"
+             aria-haspopup="${ifDefined(haspopup)}"
+             aria-expanded="${ifDefined(expanded)}">
+          <svg id="check"
+               ?hidden="${!checkable}"
+               aria-hidden="true"
+               viewBox="0 0 512 512"
+               fill="currentColor"
+               width="1em"
+               height="1em"><path d="M173.898 439.404l-166.4-166.4c-9.997-9.997-9.997-26.206 0-36.204l36.203-36.204c9.997-9.998 26.207-9.998 36.204 0L192 312.69 432.095 72.596c9.997-9.997 26.207-9.997 36.204 0l36.203 36.204c9.997 9.997 9.997 26.206 0 36.204l-294.4 294.401c-9.998 9.997-26.207 9.997-36.204-.001z"></path></svg>
           <slot name="icon"></slot>
           <slot></slot>
+          <svg id="submenu-indicator"
+               ?hidden="${!submenu}"
+               aria-hidden="true"
+               viewBox="0 0 256 512"
+               fill="currentColor"
+               width="1em"
+               height="1em"><path d="M224.3 273l-136 136c-9.4 9.4-24.6 9.4-33.9 0l-22.6-22.6c-9.4-9.4-9.4-24.6 0-33.9l96.4-96.4-96.4-96.4c-9.4-9.4-9.4-24.6 0-33.9L54.3 103c9.4-9.4 24.6-9.4 33.9 0l136 136c9.5 9.4 9.5 24.6.1 34z"></path></svg>
         </div>`}
         <slot id="description" name="description">${this.description ?? ''}</slot>
+      </div>
+      <div id="submenu"
+           class="${classMap({ 'top-layer': topLayer,
+                               [anchor]: !!anchor,
+                               [alignment]: !!alignment })}"
+           style="${styleMap(styles)}"
+           ?hidden="${!this.expanded}">
+        <slot name="submenu" @slotchange="${() => this.requestUpdate()}"></slot>
       </div>`;
   }
+
+  /**
+   * Opens the item's submenu
+   * @param focus whether to focus the submenu's first item
+   */
+  async showSubmenu(focus = false) {
+    if (!this.submenu || this.disabled || this.ctx?.disabled) {
+      return;
+    }
+    this.expanded = true;
+    await this.updateComplete;
+    await this.#float.show({
+      placement: 'right-start',
+      flip: true,
+      fallbackPlacements: ['left-start'],
+    });
+    if (focus) {
+      this.submenu.activeItem?.focus();
+    }
+  }
+
+  /**
+   * Closes the item's submenu
+   * @param focus whether to focus the item
+   */
+  async hideSubmenu(focus = false) {
+    this.expanded = false;
+    await this.updateComplete;
+    if (focus) {
+      // the item itself isn't focusable, only its menuitem is
+      this.menuItem?.focus();
+    }
+  }
+
+  #closeSubmenu() {
+    this.expanded = false;
+  }
+
+  async #expandedChanged() {
+    if (!this.expanded) {
+      for (const item of this.submenu?.items ?? []) {
+        item.expanded = false;
+      }
+      await this.#float.hide();
+    }
+  }
+
+  /** whether the event came from inside the submenu */
+  #fromSubmenu(event: Event) {
+    const { submenu } = this;
+    return !!submenu && event.composedPath().includes(submenu);
+  }
+
+  /** checks or unchecks a checkbox or radio item, when the user chooses it */
+  #toggleChecked() {
+    if (!this.type || this.href || this.disabled || this.ctx?.disabled) {
+      return;
+    } else if (this.type === 'radio' && this.checked) {
+      // like native radio buttons, choosing a checked radio item leaves it checked
+      return;
+    }
+    this.checked = !this.checked;
+    this.dispatchEvent(new PfDropdownItemChangeEvent(this.checked));
+  }
+
+  #onKeydown = (event: KeyboardEvent) => {
+    if (!this.submenu) {
+      if (event.key === 'Enter' || event.key === ' ') {
+        this.#toggleChecked();
+      }
+    } else if (this.#fromSubmenu(event)) {
+      switch (event.key) {
+        case 'ArrowLeft':
+        case 'Escape':
+          event.preventDefault();
+          event.stopPropagation();
+          this.hideSubmenu(true);
+      }
+    } else {
+      switch (event.key) {
+        case 'ArrowRight':
+        case 'Enter':
+        case ' ':
+          event.preventDefault();
+          event.stopPropagation();
+          this.showSubmenu(true);
+      }
+    }
+  };
+
+  #onClick = (event: MouseEvent) => {
+    if (this.#fromSubmenu(event)) {
+      return;
+    } else if (this.submenu) {
+      // items with submenus don't activate, so the dropdown stays open
+      event.stopPropagation();
+      if (!this.expanded) {
+        this.showSubmenu(true);
+      }
+    } else {
+      this.#toggleChecked();
+    }
+  };
+
+  #onPointerenter = (event: PointerEvent) => {
+    if (event.pointerType === 'mouse') {
+      this.showSubmenu();
+    }
+  };
+
+  #onPointerleave = (event: PointerEvent) => {
+    if (event.pointerType === 'mouse' && !this.matches(':focus-within')) {
+      this.hideSubmenu();
+    }
+  };
+
+  #onFocusout = (event: FocusEvent) => {
+    const { relatedTarget } = event;
+    if (this.expanded
+        && !(relatedTarget instanceof Node && this.contains(relatedTarget))) {
+      this.hideSubmenu();
+    }
+  };
 }
 
 declare global {
@@ -6,6 +6,7 @@ import { context, type PfDropdownContext } from './context.js';
 
 import { RovingTabindexController } from '@patternfly/pfe-core/controllers/roving-tabindex-controller.js';
 import { InternalsController } from '@patternfly/pfe-core/controllers/internals-controller.js';
+import { TypeaheadController } from '@patternfly/pfe-core/controllers/typeahead-controller.js';
 
 import { PfDropdownItem, DropdownItemChange } from './pf-dropdown-item.js';
 import { PfDropdownGroup } from './pf-dropdown-group.js';
@@ -43,6 +44,13 @@ export class PfDropdownMenu extends LitElement {
     getItems: () => this.items.map(x => x.menuItem),
   });
 
+  #typeahead = new TypeaheadController<PfDropdownItem>(this, {
+    getItems: () => this.items.filter(item => !item.hidden),
+    getActiveItem: () => this.items.find(item => item.menuItem === this.#tabindex.activeItem),
+    setActiveItem: item => this.#tabindex.setActiveItem(item.menuItem),
+    isDisabled: item => item.disabled,
+  });
+
   /**
    * current active descendant in menu
    */
@@ -67,8 +75,13 @@ export class PfDropdownMenu extends LitElement {
 
   connectedCallback() {
     super.connectedCallback();
+    // submenus close with ArrowLeft, so the arrow keys only move up and down
+    if (this.slot === 'submenu') {
+      this.setAttribute('aria-orientation', 'vertical');
+    }
     this.addEventListener('focusin', this.#onMenuitemFocusin);
     this.addEventListener('click', this.#onMenuitemClick);
+    this.addEventListener('keydown', this.#onMenuitemKeydown);
   }
 
   protected override willUpdate(): void {
@@ -109,12 +122,20 @@ export class PfDropdownMenu extends LitElement {
     if (this.ctx?.disabled) {
       event.preventDefault();
       event.stopPropagation();
-    } else if (event.target instanceof PfDropdownItem
+    } else if (this.#isOwnItem(event.target)
         && event.target.menuItem !== this.#tabindex.activeItem) {
       this.#tabindex.setActiveItem(event.target.menuItem);
     }
   }
 
+  /**
+   * whether the element is one of this menu's items, rather than an item of a submenu
+   * @param element the event target
+   */
+  #isOwnItem(element: EventTarget | null): element is PfDropdownItem {
+    return element instanceof PfDropdownItem && this.items.includes(element);
+  }
+
   /**
    * handles clicking on a menuitem:
    * which selects an item by default
@@ -124,12 +145,40 @@ export class PfDropdownMenu extends LitElement {
     if (this.ctx?.disabled || isDisabledItemClick(event)) {
       event.preventDefault();
       event.stopPropagation();
-    } else if (event.target instanceof PfDropdownItem
+    } else if (this.#isOwnItem(event.target)
         && event.target.menuItem !== this.#tabindex.activeItem) {
       this.#tabindex.setActiveItem(event.target.menuItem);
     }
   }
 
+  /**
+   * handles type-to-select, and PageUp and PageDown
+   * @param event keydown event
+   */
+  #onMenuitemKeydown(event: KeyboardEvent) {
+    if (this.ctx?.disabled
+        || event.ctrlKey
+        || event.altKey
+        || event.metaKey
+        || !this.#isOwnItem(event.target)) {
+      return;
+    }
+    switch (event.key) {
+      case 'PageUp':
+      case 'PageDown':
+        this.#typeahead.pageJump(event.key === 'PageUp' ? -1 : 1);
+        event.preventDefault();
+        break;
+      case ' ':
+        // space activates the item
+        break;
+      default:
+        if (this.#typeahead.typeahead(event.key)) {
+          event.preventDefault();
+        }
+    }
+  }
+
   #getSlottedItems(slot?: HTMLSlotElement | null): PfDropdownItem[] {
     return slot
         ?.assignedElements()
@@ -139,7 +188,10 @@ export class PfDropdownMenu extends LitElement {
           } else if (element instanceof PfDropdownItem) {
             return [element];
           } else if (element instanceof PfDropdownGroup) {
-            return Array.from(element.querySelectorAll('pf-dropdown-item'));
+            // except for the items of the group's submenus
+            return Array.from(element.querySelectorAll('pf-dropdown-item'))
+                .filter(item =>
+                  item.parentElement?.closest('pf-dropdown-menu, pf-dropdown-group') === element);
           } else {
             return [];
           }
@@ -6,7 +6,11 @@ import { property } from 'lit/decorators/property.js';
 import { queryAssignedElements } from 'lit/decorators/query-assigned-elements.js';
 import { provide } from '@lit/context';
 
-import { FloatingDOMController } from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
+import {
+  FloatingDOMController,
+  createPointInvoker,
+  type VirtualElement,
+} from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
 import { Logger } from '@patternfly/pfe-core/controllers/logger.js';
 import { getRandomId } from '@patternfly/pfe-core/functions/random.js';
 
@@ -18,6 +22,11 @@ import '@patternfly/elements/pf-button/pf-button.js';
 
 import styles from './pf-dropdown.css';
 
+/** how long the user must press on a touch screen to open a context menu, in milliseconds */
+const LONG_PRESS_DELAY = 500;
+
+/** how far the user's finger may move during a long press, in pixels */
+const LONG_PRESS_TOLERANCE = 10;
 
 export class PfDropdownSelectEvent extends Event {
   constructor(
@@ -33,7 +42,8 @@ export class PfDropdownSelectEvent extends Event {
  * will trigger a process or navigate to a new location.
  * @slot - Must contain one or more `<pf-dropdown-item>` or `<pf-dropdown-group>`
  * @slot toggle - Custom toggle button
- * @slot menu - when using a custom toggle, you must slot a `<pf-dropdown-menu>` in alongside it
+ * @slot menu - when using a custom toggle, you must slot a `<pf-dropdown-menu>` in alongside it.
+ *             Context menus may also slot a `<pf-dropdown-menu>` here.
  * @csspart menu - The dropdown menu wrapper
  * @cssprop {<length>} --pf-c-dropdown__menu--PaddingTop
  *          Dropdown top padding
@@ -74,6 +84,16 @@ export class PfDropdown extends LitElement {
    */
   @property({ type: Boolean, reflect: true }) expanded = false;
 
+  /** Whether the menu stays open when the user chooses a checkbox or radio item */
+  @property({ type: Boolean, attribute: 'keep-open' }) keepOpen = false;
+
+  /**
+   * The ID of an element, or the element, on which the dropdown opens as a context menu,
+   * when the user right-clicks or long-presses on it, or presses Shift+F10 or the
+   * ContextMenu key while it has focus. Context menus don't render a toggle.
+   */
+  @property() trigger?: string | Element;
+
   @queryAssignedElements({ slot: 'toggle', flatten: true })
   private _toggleElements!: HTMLElement[];
 
@@ -86,8 +106,34 @@ export class PfDropdown extends LitElement {
 
   #float = new FloatingDOMController(this, {
     content: () => this._menuElements?.at(0),
+    invoker: (): Element | VirtualElement => this.#contextInvoker ?? this,
+    onDismiss: () => this.hide(),
   });
 
+  /** the element which opens the context menu */
+  #contextTarget?: Element | null;
+
+  /** where the context menu opened, e.g. the pointer position */
+  #contextInvoker?: Element | VirtualElement;
+
+  /** the element which had focus before the context menu opened */
+  #returnFocus?: HTMLElement | null;
+
+  #longPressTimer?: ReturnType<typeof setTimeout>;
+
+  #longPressOrigin?: PointerEvent;
+
+  override connectedCallback() {
+    super.connectedCallback();
+    this.#triggerChanged();
+  }
+
+  override disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#setContextTarget(null);
+    document.removeEventListener('pointerdown', this.#onDocumentPointerdown, { capture: true });
+  }
+
   protected override async getUpdateComplete(): Promise<boolean> {
     const ps = await Promise.all([
       super.getUpdateComplete(),
@@ -101,19 +147,26 @@ export class PfDropdown extends LitElement {
       const { disabled } = this;
       this.ctx = { disabled };
     }
+    if (changed.has('trigger')) {
+      this.#triggerChanged();
+    }
   }
 
   render() {
     const { expanded } = this;
-    const { anchor, alignment, styles = {} } = this.#float;
+    const { anchor, alignment, styles = {}, topLayer } = this.#float;
     const { disabled } = this;
+    const context = !!this.trigger;
     return html`
     <div class="${classMap({ disabled,
                              expanded,
+                             context,
+                             'top-layer': topLayer,
                              [anchor ?? '']: !!anchor,
                              [alignment ?? '']: !!alignment })}"
          style="${styleMap(styles)}"
          @slotchange="${this.#onSlotchange}">
+      ${context ? '' : html`
       <slot name="toggle"
             @keydown="${this.#onButtonKeydown}"
             @click="${() => this.toggle()}">
@@ -121,7 +174,7 @@ export class PfDropdown extends LitElement {
           Dropdown
           <pf-icon icon="caret-down" size="md"></pf-icon>
         </pf-button>
-      </slot>
+      </slot>`}
       <slot name="menu"
             ?hidden="${!this.expanded}"
             @focusout="${this.#onMenuFocusout}"
@@ -150,12 +203,15 @@ export class PfDropdown extends LitElement {
   #validateDOM() {
     const [toggle] = this._toggleElements;
     const [menu] = this._menuElements;
-    if (!toggle) {
-      this.#logger.warn('no toggle found');
-      return false;
-    } else if (!menu) {
+    if (!menu) {
       this.#logger.warn('no menu found');
       return false;
+    } else if (this.trigger) {
+      // context menus don't render a toggle
+      return true;
+    } else if (!toggle) {
+      this.#logger.warn('no toggle found');
+      return false;
     } else if (![toggle, menu].map(x => this.shadowRoot?.contains(x))
         .every((p, _, a) => p === a[0])) {
       this.#logger.warn('toggle and menu must be located in the same root');
@@ -166,7 +222,7 @@ export class PfDropdown extends LitElement {
   }
 
   #onSlotchange() {
-    if (this.#validateDOM()) {
+    if (!this.trigger && this.#validateDOM()) {
       const [menu] = this._menuElements;
       const [toggle] = this._toggleElements;
       menu.id ||= getRandomId('menu');
@@ -180,22 +236,161 @@ export class PfDropdown extends LitElement {
     const will = this.expanded ? 'close' : 'open';
     const [menu] = this._menuElements;
     const [toggle] = this._toggleElements;
-    toggle.setAttribute('aria-expanded', `${String(this.expanded) as 'true' | 'false'}`);
+    toggle?.setAttribute('aria-expanded', `${String(this.expanded) as 'true' | 'false'}`);
     this.dispatchEvent(new Event(will));
     if (this.expanded) {
-      await this.#float.show();
+      if (this.trigger) {
+        document.addEventListener('pointerdown', this.#onDocumentPointerdown, { capture: true });
+        await this.#float.show({ placement: 'bottom-start', flip: true });
+      } else {
+        await this.#float.show();
+      }
       if (menu instanceof PfDropdownMenu) {
         menu.activeItem?.focus();
       }
     } else {
+      document.removeEventListener('pointerdown', this.#onDocumentPointerdown, { capture: true });
+      for (const item of this.querySelectorAll<PfDropdownItem>('pf-dropdown-item[expanded]')) {
+        item.expanded = false;
+      }
+      const hadFocus = this.matches(':focus-within');
       await this.#float.hide();
+      if (this.trigger && hadFocus) {
+        this.#returnFocus?.focus();
+      }
+      this.#contextInvoker = undefined;
+      this.#returnFocus = undefined;
     }
   }
 
+  #triggerChanged() {
+    this.#setContextTarget(
+        this.trigger instanceof Element ? this.trigger
+      : typeof this.trigger === 'string' ?
+          (this.getRootNode() as Document | ShadowRoot).getElementById(this.trigger)
+      : null
+    );
+  }
+
+  /**
+   * Moves the context menu's event listeners to a new target element
+   * @param target the element which opens the context menu
+   */
+  #setContextTarget(target?: Element | null) {
+    if (target === this.#contextTarget) {
+      return;
+    }
+    const old = this.#contextTarget;
+    old?.removeEventListener('contextmenu', this.#onContextmenu);
+    old?.removeEventListener('keydown', this.#onContextKeydown as EventListener);
+    old?.removeEventListener('pointerdown', this.#onContextPointerdown as EventListener);
+    old?.removeEventListener('pointermove', this.#onContextPointermove as EventListener);
+    old?.removeEventListener('pointerup', this.#cancelLongPress);
+    old?.removeEventListener('pointercancel', this.#cancelLongPress);
+    this.#contextTarget = target;
+    target?.addEventListener('contextmenu', this.#onContextmenu);
+    target?.addEventListener('keydown', this.#onContextKeydown as EventListener);
+    target?.addEventListener('pointerdown', this.#onContextPointerdown as EventListener);
+    target?.addEventListener('pointermove', this.#onContextPointermove as EventListener);
+    target?.addEventListener('pointerup', this.#cancelLongPress);
+    target?.addEventListener('pointercancel', this.#cancelLongPress);
+  }
+
+  /**
+   * Opens the context menu
+   * @param invoker where to open the menu, e.g. at the pointer position
+   */
+  async #showContextMenu(invoker: Element | VirtualElement) {
+    if (!this.expanded) {
+      this.#returnFocus = this.#getActiveElement();
+    }
+    this.#contextInvoker = invoker;
+    if (this.expanded) {
+      await this.#float.update();
+      const [menu] = this._menuElements;
+      if (menu instanceof PfDropdownMenu) {
+        menu.activeItem?.focus();
+      }
+    } else {
+      await this.show();
+    }
+  }
+
+  /** the focused element, including inside of shadow roots */
+  #getActiveElement() {
+    let active = document.activeElement;
+    while (active?.shadowRoot?.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+    return active instanceof HTMLElement ? active : null;
+  }
+
+  #onContextmenu = (event: Event) => {
+    event.preventDefault();
+    const { button } = event as MouseEvent;
+    // browsers also fire contextmenu after Shift+F10 and long presses, which already
+    // opened the menu
+    if (button === 2 || !this.expanded) {
+      const [target] = event.composedPath();
+      const point = button === 2 ? event as MouseEvent : this.#longPressOrigin;
+      this.#cancelLongPress();
+      this.#showContextMenu(
+          point ? createPointInvoker(point, this.#contextTarget ?? undefined)
+        : target instanceof Element ? target
+        : this.#contextTarget!
+      );
+    }
+  };
+
+  #onContextKeydown = (event: KeyboardEvent) => {
+    if (event.key === 'ContextMenu' || (event.shiftKey && event.key === 'F10')) {
+      event.preventDefault();
+      const [target] = event.composedPath();
+      this.#showContextMenu(target instanceof Element ? target : this.#contextTarget!);
+    }
+  };
+
+  #onContextPointerdown = (event: PointerEvent) => {
+    this.#cancelLongPress();
+    if (event.pointerType !== 'mouse') {
+      this.#longPressOrigin = event;
+      this.#longPressTimer = setTimeout(() => {
+        this.#showContextMenu(createPointInvoker(event, this.#contextTarget ?? undefined));
+      }, LONG_PRESS_DELAY);
+    }
+  };
+
+  #onContextPointermove = (event: PointerEvent) => {
+    const origin = this.#longPressOrigin;
+    if (origin && Math.hypot(event.clientX - origin.clientX, event.clientY - origin.clientY)
+        > LONG_PRESS_TOLERANCE) {
+      this.#cancelLongPress();
+    }
+  };
+
+  #cancelLongPress = () => {
+    clearTimeout(this.#longPressTimer);
+    this.#longPressTimer = undefined;
+    this.#longPressOrigin = undefined;
+  };
+
+  /** closes the context menu when the user presses outside of it */
+  #onDocumentPointerdown = (event: PointerEvent) => {
+    const [menu] = this._menuElements;
+    const path = event.composedPath();
+    const target = this.#contextTarget;
+    // right-clicking on the target moves the menu to the pointer, instead
+    if (event.button === 2 && target && path.includes(target)) {
+      return;
+    } else if (!path.includes(this) && !(menu && path.includes(menu))) {
+      this.hide();
+    }
+  };
+
   #disabledChanged() {
     if (this.#validateDOM()) {
       const [toggle] = this._toggleElements;
-      toggle.setAttribute('aria-disabled', String(!!this.disabled));
+      toggle?.setAttribute('aria-disabled', String(!!this.disabled));
     }
   }
 
@@ -204,7 +399,9 @@ export class PfDropdown extends LitElement {
     if (menu instanceof PfDropdownMenu) {
       const target = event.target as PfDropdownItem || menu.activeItem;
       this.dispatchEvent(new PfDropdownSelectEvent(event, `${target?.value}`));
-      this.hide();
+      if (!(this.keepOpen && target instanceof PfDropdownItem && target.type)) {
+        this.hide();
+      }
     }
   }
 
@@ -225,6 +422,7 @@ export class PfDropdown extends LitElement {
           && event.relatedTarget instanceof PfDropdownItem
           && menu instanceof PfDropdownMenu
           && !menu.items.includes(event.relatedTarget)
+          && !this.contains(event.relatedTarget)
       ) {
         this.hide();
       }
@@ -240,7 +438,9 @@ export class PfDropdown extends LitElement {
         break;
       case 'Escape':
         this.hide();
-        this._toggleElements?.at(0)?.focus();
+        if (!this.trigger) {
+          this._toggleElements?.at(0)?.focus();
+        }
     }
   }
 
@@ -1,9 +1,14 @@
 import { expect, html } from '@open-wc/testing';
 import { createFixture } from '@patternfly/pfe-tools/test/create-fixture.js';
-import { sendKeys, resetMouse } from '@web/test-runner-commands';
+import { sendKeys, sendMouse, resetMouse } from '@web/test-runner-commands';
 import { clickElementAtCenter } from '@patternfly/pfe-tools/test/utils.js';
-import { PfDropdown } from '@patternfly/elements/pf-dropdown/pf-dropdown.js';
+import { PfDropdown, PfDropdownSelectEvent } from '@patternfly/elements/pf-dropdown/pf-dropdown.js';
+import {
+  PfDropdownItem,
+  PfDropdownItemChangeEvent,
+} from '@patternfly/elements/pf-dropdown/pf-dropdown-item.js';
 import { a11ySnapshot } from '@patternfly/pfe-tools/test/a11y-snapshot.js';
+import { FloatingDOMController } from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
 
 function press(key: string) {
   return async function() {
@@ -146,4 +151,557 @@ describe('<pf-dropdown>', function() {
       });
     });
   });
+
+  describe('in the top layer', function() {
+    let menu: HTMLElement;
+
+    beforeEach(async function() {
+      FloatingDOMController.topLayer = true;
+      const container = await createFixture<HTMLElement>(html`
+        <div style="overflow: hidden; height: 40px;">
+          <pf-dropdown>
+            <pf-button slot="toggle">Toggle</pf-button>
+            <pf-dropdown-menu slot="menu">
+              <pf-dropdown-item>item 1</pf-dropdown-item>
+              <pf-dropdown-item>item 2</pf-dropdown-item>
+            </pf-dropdown-menu>
+          </pf-dropdown>
+        </div>
+      `);
+      element = container.querySelector('pf-dropdown')!;
+      menu = element.querySelector('pf-dropdown-menu')!;
+      await element.show();
+      // the controller positions the menu after it opens
+      await new Promise(requestAnimationFrame);
+      await updateComplete();
+    });
+
+    afterEach(function() {
+      FloatingDOMController.topLayer = false;
+    });
+
+    it('renders the menu as a popover', function() {
+      expect(menu.getAttribute('popover')).to.equal('auto');
+      expect(menu.matches(':popover-open')).to.be.true;
+    });
+
+    it('positions the menu below the toggle', function() {
+      const toggle = element.querySelector('pf-button')!.getBoundingClientRect();
+      expect(menu.getBoundingClientRect().top).to.be.at.least(toggle.bottom - 1);
+    });
+
+    it('renders the menu outside of the clipping container', function() {
+      const container = element.parentElement!.getBoundingClientRect();
+      const item = element.querySelector('pf-dropdown-item:last-of-type')!;
+      const { x, y, height, width } = item.getBoundingClientRect();
+      expect(y).to.be.greaterThan(container.bottom);
+      expect(document.elementFromPoint(x + width / 2, y + height / 2)).to.equal(item);
+    });
+
+    describe('clicking outside of the menu', function() {
+      beforeEach(async function() {
+        await sendMouse({ type: 'click', position: [400, 400] });
+        await resetMouse();
+        await new Promise(requestAnimationFrame);
+        await updateComplete();
+      });
+
+      it('closes the dropdown', function() {
+        expect(element.expanded).to.be.false;
+        expect(menu.hasAttribute('popover')).to.be.false;
+      });
+    });
+
+    describe('clicking the toggle to close, then opening with the keyboard', function() {
+      let other: HTMLElement;
+
+      beforeEach(async function() {
+        await clickElementAtCenter(element.querySelector('pf-button')!);
+        await resetMouse();
+        await new Promise(requestAnimationFrame);
+        await updateComplete();
+        expect(element.expanded).to.be.false;
+        await sendKeys({ press: 'ArrowDown' });
+        await new Promise(requestAnimationFrame);
+        await updateComplete();
+        expect(element.expanded).to.be.true;
+      });
+
+      afterEach(function() {
+        other?.remove();
+      });
+
+      describe('then another popover opens', function() {
+        beforeEach(async function() {
+          other = document.createElement('div');
+          other.popover = 'auto';
+          document.body.append(other);
+          // the browser light-dismisses the menu, without a pointer press
+          other.showPopover();
+          await new Promise(requestAnimationFrame);
+          await updateComplete();
+        });
+
+        it('closes the dropdown', function() {
+          expect(menu.matches(':popover-open')).to.be.false;
+          expect(element.expanded).to.be.false;
+        });
+      });
+    });
+
+    describe('hiding the dropdown', function() {
+      beforeEach(async function() {
+        await element.hide();
+      });
+
+      it('removes the popover', function() {
+        expect(menu.hasAttribute('popover')).to.be.false;
+      });
+    });
+  });
+
+  describe('as a context menu', function() {
+    let target: HTMLElement;
+
+    beforeEach(async function() {
+      const container = await createFixture<HTMLElement>(html`
+        <div>
+          <div id="region" tabindex="0" style="height: 200px;">Files</div>
+          <pf-dropdown trigger="region">
+            <pf-dropdown-item value="open">Open</pf-dropdown-item>
+            <pf-dropdown-item value="delete">Delete</pf-dropdown-item>
+          </pf-dropdown>
+        </div>
+      `);
+      target = container.querySelector('#region')!;
+      element = container.querySelector('pf-dropdown')!;
+      await updateComplete();
+    });
+
+    it('does not render a toggle', function() {
+      expect(element.shadowRoot?.querySelector('slot[name="toggle"]')).to.be.null;
+    });
+
+    describe('right-clicking on the target', function() {
+      let point: { x: number; y: number };
+
+      beforeEach(async function() {
+        const rect = target.getBoundingClientRect();
+        point = { x: Math.round(rect.left + 50), y: Math.round(rect.top + 100) };
+        await sendMouse({ type: 'click', button: 'right', position: [point.x, point.y] });
+        await resetMouse();
+        await updateComplete();
+        await new Promise(requestAnimationFrame);
+      });
+
+      it('opens the menu at the pointer', function() {
+        expect(element.expanded).to.be.true;
+        const menu = element.shadowRoot!.getElementById('menu')!;
+        const { left, top } = menu.getBoundingClientRect();
+        expect(left).to.be.closeTo(point.x, 2);
+        expect(top).to.be.closeTo(point.y, 2);
+      });
+
+      it('focuses the first item', function() {
+        expect(document.activeElement).to.equal(element.querySelector('pf-dropdown-item'));
+      });
+
+      describe('then clicking outside of the menu', function() {
+        beforeEach(async function() {
+          await sendMouse({ type: 'click', position: [1, 1] });
+          await resetMouse();
+          await updateComplete();
+        });
+
+        it('closes the menu', function() {
+          expect(element.expanded).to.be.false;
+        });
+      });
+    });
+
+    describe('pressing Shift+F10 on the target', function() {
+      beforeEach(async function() {
+        target.focus();
+        await sendKeys({ press: 'Shift+F10' });
+        await updateComplete();
+      });
+
+      it('opens the menu', function() {
+        expect(element.expanded).to.be.true;
+        expect(document.activeElement).to.equal(element.querySelector('pf-dropdown-item'));
+      });
+
+      describe('then pressing Escape', function() {
+        beforeEach(press('Escape'));
+        beforeEach(updateComplete);
+
+        it('closes the menu and returns focus to the target', function() {
+          expect(element.expanded).to.be.false;
+          expect(document.activeElement).to.equal(target);
+        });
+      });
+
+      describe('then pressing Enter', function() {
+        let event: PfDropdownSelectEvent | undefined;
+
+        beforeEach(async function() {
+          event = undefined;
+          element.addEventListener('select', e => event = e as PfDropdownSelectEvent, {
+            once: true,
+          });
+          await sendKeys({ press: 'Enter' });
+          await updateComplete();
+        });
+
+        it('selects the item and closes the menu', function() {
+          expect(event?.value).to.equal('open');
+          expect(element.expanded).to.be.false;
+        });
+      });
+    });
+  });
+
+  describe('with a submenu', function() {
+    let share: PfDropdownItem;
+    let email: PfDropdownItem;
+
+    beforeEach(async function() {
+      element = await createFixture<PfDropdown>(html`
+        <pf-dropdown>
+          <pf-dropdown-item value="edit">Edit</pf-dropdown-item>
+          <pf-dropdown-item id="share">
+            Share
+            <pf-dropdown-menu slot="submenu">
+              <pf-dropdown-item id="email" value="email">Email</pf-dropdown-item>
+              <pf-dropdown-item value="link">Copy link</pf-dropdown-item>
+            </pf-dropdown-menu>
+          </pf-dropdown-item>
+          <pf-dropdown-item value="delete">Delete</pf-dropdown-item>
+        </pf-dropdown>
+      `);
+      share = element.querySelector('#share')!;
+      email = element.querySelector('#email')!;
+      await element.show();
+      await sendKeys({ press: 'ArrowDown' });
+      await updateComplete();
+    });
+
+    it('focuses the item with the submenu', function() {
+      expect(document.activeElement).to.equal(share);
+    });
+
+    it('marks the item as having a collapsed submenu', async function() {
+      const snapshot = await a11ySnapshot();
+      const menu = snapshot.children?.find(x => x.role === 'menu');
+      const item = menu?.children?.find(x => x.name === 'Share');
+      expect(item?.haspopup).to.equal('menu');
+      expect(item?.expanded).to.not.be.ok;
+      expect(menu?.children?.length).to.equal(3);
+    });
+
+    describe('pressing ArrowRight', function() {
+      beforeEach(press('ArrowRight'));
+      beforeEach(() => share.updateComplete);
+
+      it('opens the submenu and focuses its first item', function() {
+        expect(share.expanded).to.be.true;
+        expect(document.activeElement).to.equal(email);
+      });
+
+      it('positions the submenu beside the item', function() {
+        const item = share.getBoundingClientRect();
+        const submenu = share.submenu!.getBoundingClientRect();
+        expect(submenu.left).to.be.at.least(item.right - 1);
+        expect(submenu.top).to.be.closeTo(item.top, 10);
+      });
+
+      it('marks the item as expanded', async function() {
+        const snapshot = await a11ySnapshot();
+        const menu = snapshot.children?.find(x => x.role === 'menu');
+        const item = menu?.children?.find(x => x.name === 'Share');
+        expect(item?.expanded).to.be.true;
+      });
+
+      describe('then pressing ArrowDown', function() {
+        beforeEach(press('ArrowDown'));
+
+        it('moves focus within the submenu', function() {
+          expect(document.activeElement).to.equal(email.nextElementSibling);
+        });
+      });
+
+      describe('then typing a character', function() {
+        beforeEach(press('c'));
+
+        it('moves focus to the matching submenu item', function() {
+          expect(document.activeElement).to.equal(email.nextElementSibling);
+        });
+      });
+
+      describe('then typing a character which only matches the parent menu', function() {
+        beforeEach(press('d'));
+
+        it('keeps focus within the submenu', function() {
+          expect(document.activeElement).to.equal(email);
+        });
+      });
+
+      describe('then pressing ArrowLeft', function() {
+        beforeEach(press('ArrowLeft'));
+        beforeEach(() => share.updateComplete);
+
+        it('closes the submenu and focuses the item', function() {
+          expect(share.expanded).to.be.false;
+          expect(element.expanded).to.be.true;
+          expect(document.activeElement).to.equal(share);
+        });
+      });
+
+      describe('then pressing Escape', function() {
+        let keys: string[];
+
+        beforeEach(function() {
+          keys = [];
+          element.addEventListener('keydown', event => keys.push(event.key));
+        });
+        beforeEach(press('Escape'));
+        beforeEach(() => share.updateComplete);
+
+        it('closes only the submenu', function() {
+          expect(share.expanded).to.be.false;
+          expect(element.expanded).to.be.true;
+          expect(document.activeElement).to.equal(share);
+        });
+
+        it('does not pass the key on to the dropdown', function() {
+          expect(keys).to.not.include('Escape');
+        });
+      });
+
+      describe('then pressing Enter', function() {
+        let event: PfDropdownSelectEvent | undefined;
+
+        beforeEach(async function() {
+          event = undefined;
+          element.addEventListener('select', e => event = e as PfDropdownSelectEvent, {
+            once: true,
+          });
+          await sendKeys({ press: 'Enter' });
+          await updateComplete();
+        });
+
+        it('selects the submenu item and closes the dropdown', function() {
+          expect(event?.value).to.equal('email');
+          expect(element.expanded).to.be.false;
+          expect(share.expanded).to.be.false;
+        });
+      });
+    });
+
+    describe('pressing Enter', function() {
+      beforeEach(press('Enter'));
+      beforeEach(() => share.updateComplete);
+
+      it('opens the submenu, without closing the dropdown', function() {
+        expect(share.expanded).to.be.true;
+        expect(element.expanded).to.be.true;
+      });
+    });
+  });
+
+  describe('with many items', function() {
+    let items: PfDropdownItem[];
+
+    beforeEach(async function() {
+      element = await createFixture<PfDropdown>(html`
+        <pf-dropdown>
+          <pf-dropdown-item>Copy</pf-dropdown-item>
+          <pf-dropdown-item>Cut</pf-dropdown-item>
+          <pf-dropdown-item disabled>Delete</pf-dropdown-item>
+          <pf-dropdown-item>Download</pf-dropdown-item>
+          <pf-dropdown-item>Duplicate</pf-dropdown-item>
+          <pf-dropdown-item>Export</pf-dropdown-item>
+          <pf-dropdown-item>Import</pf-dropdown-item>
+          <pf-dropdown-item>Move</pf-dropdown-item>
+          <pf-dropdown-item>Paste</pf-dropdown-item>
+          <pf-dropdown-item>Print</pf-dropdown-item>
+          <pf-dropdown-item>Rename</pf-dropdown-item>
+          <pf-dropdown-item>Share</pf-dropdown-item>
+        </pf-dropdown>
+      `);
+      items = Array.from(element.querySelectorAll('pf-dropdown-item'));
+      await element.show();
+      await new Promise(requestAnimationFrame);
+    });
+
+    it('focuses the first item', function() {
+      expect(document.activeElement).to.equal(items.at(0));
+    });
+
+    describe('typing a character', function() {
+      beforeEach(press('d'));
+
+      it('focuses the next enabled item which starts with it', function() {
+        expect(document.activeElement).to.have.text('Download');
+      });
+
+      describe('then typing the same character', function() {
+        beforeEach(press('d'));
+
+        it('focuses the next item which starts with it', function() {
+          expect(document.activeElement).to.have.text('Duplicate');
+        });
+      });
+
+      describe('then typing another character', function() {
+        beforeEach(press('u'));
+
+        it('focuses the item which starts with both characters', function() {
+          expect(document.activeElement).to.have.text('Duplicate');
+        });
+      });
+    });
+
+    describe('typing a character which matches the focused item', function() {
+      beforeEach(press('c'));
+
+      it('focuses the next item which starts with it', function() {
+        expect(document.activeElement).to.have.text('Cut');
+      });
+    });
+
+    describe('pressing PageDown', function() {
+      beforeEach(press('PageDown'));
+
+      it('moves focus down by ten items', function() {
+        expect(document.activeElement).to.equal(items.at(10));
+      });
+
+      describe('then pressing PageDown', function() {
+        beforeEach(press('PageDown'));
+
+        it('focuses the last item', function() {
+          expect(document.activeElement).to.equal(items.at(-1));
+        });
+
+        describe('then pressing PageUp', function() {
+          beforeEach(press('PageUp'));
+
+          it('moves focus up by ten items', function() {
+            expect(document.activeElement).to.equal(items.at(1));
+          });
+        });
+      });
+    });
+  });
+
+  describe('with checkable items', function() {
+    let hidden: PfDropdownItem;
+    let name: PfDropdownItem;
+    let size: PfDropdownItem;
+
+    beforeEach(async function() {
+      element = await createFixture<PfDropdown>(html`
+        <pf-dropdown>
+          <pf-dropdown-item id="hidden" type="checkbox">Show hidden files</pf-dropdown-item>
+          <pf-dropdown-group label="Sort by">
+            <pf-dropdown-item id="name" type="radio" checked>Name</pf-dropdown-item>
+            <pf-dropdown-item id="size" type="radio">Size</pf-dropdown-item>
+          </pf-dropdown-group>
+        </pf-dropdown>
+      `);
+      hidden = element.querySelector('#hidden')!;
+      name = element.querySelector('#name')!;
+      size = element.querySelector('#size')!;
+      await element.show();
+    });
+
+    it('has checkbox and radio items', async function() {
+      const snapshot = await a11ySnapshot();
+      const menu = snapshot.children?.find(x => x.role === 'menu');
+      expect(menu?.children?.find(x => x.name === 'Show hidden files')).to.deep.include({
+        role: 'menuitemcheckbox',
+        checked: false,
+      });
+      expect(menu?.children?.find(x => x.name === 'Name')).to.deep.include({
+        role: 'menuitemradio',
+        checked: true,
+      });
+    });
+
+    describe('clicking the checkbox item', function() {
+      let event: PfDropdownItemChangeEvent | undefined;
+
+      beforeEach(async function() {
+        event = undefined;
+        element.addEventListener('change', e => event = e as PfDropdownItemChangeEvent, {
+          once: true,
+        });
+        await clickElementAtCenter(hidden);
+        await updateComplete();
+      });
+
+      it('checks the item', function() {
+        expect(hidden.checked).to.be.true;
+      });
+
+      it('fires change', function() {
+        expect(event).to.be.an.instanceof(PfDropdownItemChangeEvent);
+        expect(event?.checked).to.be.true;
+      });
+
+      it('closes the dropdown', function() {
+        expect(element.expanded).to.be.false;
+      });
+    });
+
+    describe('clicking an unchecked radio item', function() {
+      beforeEach(() => clickElementAtCenter(size));
+      beforeEach(updateComplete);
+
+      it('checks the item', function() {
+        expect(size.checked).to.be.true;
+      });
+
+      it('unchecks the other radio items in the group', function() {
+        expect(name.checked).to.be.false;
+      });
+    });
+
+    describe('with keep-open', function() {
+      beforeEach(async function() {
+        element.keepOpen = true;
+        await updateComplete();
+      });
+
+      describe('clicking the checkbox item', function() {
+        beforeEach(() => clickElementAtCenter(hidden));
+        beforeEach(updateComplete);
+
+        it('checks the item, without closing the dropdown', function() {
+          expect(hidden.checked).to.be.true;
+          expect(element.expanded).to.be.true;
+        });
+
+        describe('then clicking it again', function() {
+          beforeEach(() => clickElementAtCenter(hidden));
+          beforeEach(updateComplete);
+
+          it('unchecks the item', function() {
+            expect(hidden.checked).to.be.false;
+          });
+        });
+      });
+
+      describe('clicking the checked radio item', function() {
+        beforeEach(() => clickElementAtCenter(name));
+        beforeEach(updateComplete);
+
+        it('leaves the item checked', function() {
+          expect(name.checked).to.be.true;
+          expect(size.checked).to.be.false;
+        });
+      });
+    });
+  });
 });
@@ -1,4 +1,4 @@
-import { LitElement, html } from 'lit';
+import { LitElement, html, render, type TemplateResult } from 'lit';
 import { customElement } from 'lit/decorators/custom-element.js';
 import { property } from 'lit/decorators/property.js';
 import { query } from 'lit/decorators/query.js';
@@ -11,6 +11,8 @@ import { getRandomId } from '@patternfly/pfe-core/functions/random.js';
 
 import { SlotController } from '@patternfly/pfe-core/controllers/slot-controller.js';
 
+import type { PfTextInput } from '@patternfly/elements/pf-text-input/pf-text-input.js';
+
 import style from './pf-modal.css';
 
 export class ModalCancelEvent extends ComposedEvent {
@@ -34,6 +36,85 @@ export class ModalOpenEvent extends ComposedEvent {
   }
 }
 
+export interface ModalConfirmOptions {
+  /** The modal's heading */
+  heading: string;
+  /** The modal's message */
+  body?: string;
+  /** Text for the confirm button {@default `'Confirm'`} */
+  confirmLabel?: string;
+  /** Text for the cancel button {@default `'Cancel'`} */
+  cancelLabel?: string;
+  /** Whether confirming is destructive, e.g. deleting a file. Shows a danger button */
+  danger?: boolean;
+  /** The modal's width {@default `'small'`} */
+  variant?: PfModal['variant'];
+}
+
+export interface ModalPromptOptions extends ModalConfirmOptions {
+  /** Accessible label for the text field. Defaults to the heading */
+  label?: string;
+  /** The text field's initial value */
+  value?: string;
+  /** The text field's placeholder */
+  placeholder?: string;
+}
+
+/** the focused element, even when it's inside of shadow roots */
+function getActiveElement() {
+  let element = document.activeElement;
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+  return element as HTMLElement | null;
+}
+
+/**
+ * Opens a modal with confirm and cancel buttons, and removes it when the user closes it
+ * @param options the modal's heading, body, and button labels
+ * @param field optional form field to render beneath the body
+ * @returns the closed modal
+ */
+async function openDialog(
+  options: ModalConfirmOptions,
+  field?: (modal: PfModal) => TemplateResult,
+): Promise<PfModal> {
+  const returnFocus = getActiveElement();
+  await import('@patternfly/elements/pf-button/pf-button.js');
+  const { heading, body, danger } = options;
+  const modal = document.createElement('pf-modal');
+  modal.variant = options.variant ?? 'small';
+  render(html`
+    <h2 slot="header">${heading}</h2>
+    ${!body ? '' : html`<p>${body}</p>`}
+    ${field?.(modal) ?? ''}
+    <pf-button slot="footer"
+               variant="${danger ? 'danger' : 'primary'}"
+               @click="${() => modal.close('confirm')}">${options.confirmLabel ?? 'Confirm'}</pf-button>
+    <pf-button slot="footer"
+               variant="link"
+               @click="${() => modal.close('cancel')}">${options.cancelLabel ?? 'Cancel'}</pf-button>
+  `, modal);
+  document.body.append(modal);
+  await modal.updateComplete;
+  // prompts focus their text field, once the modal has focused its dialog
+  modal.addEventListener('open', () => {
+    modal.querySelector('pf-text-input')?.focus();
+  }, { once: true });
+  return new Promise(resolve => {
+    const onClose = () => {
+      modal.removeEventListener('close', onClose);
+      modal.removeEventListener('cancel', onClose);
+      modal.remove();
+      returnFocus?.focus();
+      resolve(modal);
+    };
+    modal.addEventListener('close', onClose);
+    modal.addEventListener('cancel', onClose);
+    modal.showModal();
+  });
+}
+
 /**
  * A **modal** displays important information to a user without requiring them to navigate
  * to a new page.
@@ -74,6 +155,50 @@ export class PfModal extends LitElement implements HTMLDialogElement {
 
   static readonly styles = [style];
 
+  /**
+   * Asks the user to confirm an action, in a modal with confirm and cancel buttons.
+   * Returns focus to the element which had it, when the modal closes.
+   * ```js
+   * if (await PfModal.confirm({ heading: 'Delete this file?', danger: true })) {
+   *   deleteFile();
+   * }
+   * ```
+   * @param options the modal's heading, body, and button labels
+   * @returns whether the user confirmed
+   */
+  static async confirm(options: ModalConfirmOptions): Promise<boolean> {
+    const modal = await openDialog(options);
+    return modal.returnValue === 'confirm';
+  }
+
+  /**
+   * Asks the user to enter some text, in a modal with a text field, and confirm and cancel
+   * buttons. Returns focus to the element which had it, when the modal closes.
+   * ```js
+   * const name = await PfModal.prompt({ heading: 'Rename file', value: file.name });
+   * if (name != null) {
+   *   renameFile(name);
+   * }
+   * ```
+   * @param options the modal's heading, body, button labels, and text field
+   * @returns the text the user entered, or null if they cancelled
+   */
+  static async prompt(options: ModalPromptOptions): Promise<string | null> {
+    await import('@patternfly/elements/pf-text-input/pf-text-input.js');
+    const modal = await openDialog(options, modal => html`
+      <pf-text-input accessible-label="${options.label ?? options.heading}"
+                     placeholder="${ifDefined(options.placeholder)}"
+                     .value="${options.value ?? ''}"
+                     @keydown="${(event: KeyboardEvent) => {
+                       if (event.key === 'Enter') {
+                         modal.close('confirm');
+                       }
+                     }}"></pf-text-input>
+    `);
+    const input = modal.querySelector<PfTextInput>('pf-text-input');
+    return modal.returnValue === 'confirm' ? input?.value ?? '' : null;
+  }
+
   /** Should the dialog close when user clicks outside the dialog? */
   protected static closeOnOutsideClick = false;
 
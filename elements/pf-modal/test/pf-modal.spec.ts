@@ -1,6 +1,6 @@
-import { expect, nextFrame, html } from '@open-wc/testing';
+import { expect, nextFrame, html, oneEvent } from '@open-wc/testing';
 import { createFixture } from '@patternfly/pfe-tools/test/create-fixture.js';
-import { setViewport } from '@web/test-runner-commands';
+import { sendKeys, setViewport } from '@web/test-runner-commands';
 import { PfModal } from '@patternfly/elements/pf-modal/pf-modal.js';
 import '@patternfly/pfe-tools/test/stub-logger.js';
 
@@ -33,6 +33,13 @@ const TEMPLATES = {
 };
 
 describe('<pf-modal>', function() {
+  // PfModal.confirm() and PfModal.prompt() append their modals to the body
+  afterEach(function() {
+    for (const modal of document.querySelectorAll('body > pf-modal')) {
+      modal.remove();
+    }
+  });
+
   it('imperatively instantiates', function() {
     expect(document.createElement('pf-modal')).to.be.an.instanceof(PfModal);
   });
@@ -226,4 +233,120 @@ describe('<pf-modal>', function() {
       });
     });
   });
+
+  describe('PfModal.confirm()', function() {
+    let trigger: HTMLButtonElement;
+    let result: Promise<boolean>;
+    let modal: PfModal;
+
+    beforeEach(async function() {
+      trigger = await createFixture<HTMLButtonElement>(html`<button>Delete</button>`);
+      trigger.focus();
+      const opened = oneEvent(document.body, 'open', false);
+      result = PfModal.confirm({
+        heading: 'Delete this file?',
+        body: 'You can not undo this.',
+        confirmLabel: 'Delete',
+        danger: true,
+      });
+      modal = (await opened).target as PfModal;
+      await modal.updateComplete;
+    });
+
+    afterEach(async function() {
+      modal.close();
+      await result;
+    });
+
+    it('opens a modal with the heading and body', function() {
+      expect(modal.open).to.be.true;
+      expect(modal.querySelector('h2')).to.have.text('Delete this file?');
+      expect(modal.querySelector('p')).to.have.text('You can not undo this.');
+    });
+
+    it('has a danger confirm button', function() {
+      const [confirm] = modal.querySelectorAll('pf-button');
+      expect(confirm).to.have.text('Delete');
+      expect(confirm.variant).to.equal('danger');
+    });
+
+    describe('clicking the confirm button', function() {
+      beforeEach(function() {
+        modal.querySelector('pf-button')!.click();
+      });
+
+      it('resolves to true', async function() {
+        expect(await result).to.be.true;
+      });
+
+      it('removes the modal and returns focus', async function() {
+        await result;
+        expect(modal.isConnected).to.be.false;
+        expect(document.activeElement).to.equal(trigger);
+      });
+    });
+
+    describe('clicking the cancel button', function() {
+      beforeEach(function() {
+        modal.querySelectorAll('pf-button')[1].click();
+      });
+
+      it('resolves to false', async function() {
+        expect(await result).to.be.false;
+      });
+    });
+
+    describe('pressing Escape', function() {
+      beforeEach(async function() {
+        await sendKeys({ press: 'Escape' });
+      });
+
+      it('resolves to false', async function() {
+        expect(await result).to.be.false;
+      });
+    });
+  });
+
+  describe('PfModal.prompt()', function() {
+    let result: Promise<string | null>;
+    let modal: PfModal;
+
+    beforeEach(async function() {
+      await createFixture(html`<button>New file</button>`);
+      const opened = oneEvent(document.body, 'open', false);
+      result = PfModal.prompt({ heading: 'File name', placeholder: 'README.md' });
+      modal = (await opened).target as PfModal;
+      await modal.updateComplete;
+    });
+
+    afterEach(async function() {
+      modal.close();
+      await result;
+    });
+
+    it('focuses the text field', function() {
+      expect(document.activeElement).to.equal(modal.querySelector('pf-text-input'));
+    });
+
+    describe('typing and pressing Enter', function() {
+      beforeEach(async function() {
+        await sendKeys({ type: 'CHANGELOG.md' });
+        await sendKeys({ press: 'Enter' });
+      });
+
+      it('resolves to the text', async function() {
+        expect(await result).to.equal('CHANGELOG.md');
+      });
+    });
+
+    describe('clicking the cancel button', function() {
+      beforeEach(function() {
+        modal.querySelectorAll('pf-button')[1].click();
+      });
+
+      it('resolves to null', async function() {
+        expect(await result).to.be.null;
+      });
+    });
+  });
 });
@@ -0,0 +1,262 @@
+import { LitElement, html, type ComplexAttributeConverter, type PropertyValues } from 'lit';
+import { customElement } from 'lit/decorators/custom-element.js';
+import { property } from 'lit/decorators/property.js';
+import { live } from 'lit/directives/live.js';
+
+import type { PfTable } from '@patternfly/elements/pf-table/pf-table.js';
+import type { PfSelect } from '@patternfly/elements/pf-select/pf-select.js';
+import type { PfTextInput } from '@patternfly/elements/pf-text-input/pf-text-input.js';
+
+import '@patternfly/elements/pf-button/pf-button.js';
+import '@patternfly/elements/pf-select/pf-select.js';
+import '@patternfly/elements/pf-text-input/pf-text-input.js';
+
+import styles from './pf-pagination.css';
+
+export class PfPaginationPageChangeEvent extends Event {
+  constructor(
+    /** the requested page, starting from 1 */
+    public page: number,
+    /** the requested number of items per page */
+    public perPage: number,
+  ) {
+    super('page-change', { bubbles: true, cancelable: true });
+  }
+}
+
+const NumberListConverter: ComplexAttributeConverter<number[]> = {
+  fromAttribute(value) {
+    return (value ?? '')
+        .split(',')
+        .map(x => parseInt(x.trim()))
+        .filter(x => !Number.isNaN(x));
+  },
+  toAttribute(value) {
+    return value.join();
+  },
+};
+
+/**
+ * A **pagination** component lets users navigate through large sets of items,
+ * like the rows of a table, one page at a time.
+ * @summary Navigates through pages of items
+ * @fires {PfPaginationPageChangeEvent} page-change - when the user changes the page,
+ *                                                    or the number of items per page.
+ *                                                    Cancel the event to prevent the change.
+ * @cssprop {<length>} --pf-c-pagination--ColumnGap {@default `1rem`}
+ * @cssprop {<color>} --pf-c-pagination__total-items--Color {@default `#151515`}
+ * @cssprop {<length>} --pf-c-pagination__nav-page-select--Width {@default `4.5rem`}
+ */
+@customElement('pf-pagination')
+export class PfPagination extends LitElement {
+  static readonly styles = [styles];
+
+  /**
+   * ID of a `pf-table` in the same root to page client-side.
+   * The table shows only the rows on the current page,
+   * and the pagination counts the rows which match the table's filters.
+   */
+  @property() for?: string;
+
+  /** The current page, starting from 1 */
+  @property({ type: Number, reflect: true }) page = 1;
+
+  /** Number of items on each page */
+  @property({ type: Number, reflect: true, attribute: 'per-page' }) perPage = 10;
+
+  /** Choices for the number of items per page, as a comma-separated list */
+  @property({
+    attribute: 'per-page-options',
+    converter: NumberListConverter,
+  }) perPageOptions = [10, 20, 50, 100];
+
+  /**
+   * Total number of items.
+   * When the pagination is bound to a table with `for`, the table sets it.
+   */
+  @property({ type: Number, attribute: 'item-count' }) itemCount = 0;
+
+  /** Accessible label for the pagination navigation */
+  @property({ attribute: 'accessible-label' }) accessibleLabel = 'Pagination';
+
+  #table: PfTable | null = null;
+
+  /** The number of pages, at least 1 */
+  get pageCount(): number {
+    return Math.max(1, Math.ceil(this.itemCount / this.perPage));
+  }
+
+  get #rootNode(): Document | ShadowRoot {
+    const root = this.getRootNode();
+    if (root instanceof Document || root instanceof ShadowRoot) {
+      return root;
+    } else {
+      return document;
+    }
+  }
+
+  override disconnectedCallback(): void {
+    super.disconnectedCallback();
+    this.#table?.removeEventListener('filter', this.#onTableFilter);
+    this.#table = null;
+  }
+
+  override updated(changed: PropertyValues<this>): void {
+    if (changed.has('for')) {
+      this.#bindTable();
+    } else if (this.#table && (changed.has('page') || changed.has('perPage'))) {
+      this.#table.perPage = this.perPage;
+      this.#table.page = this.page;
+    }
+  }
+
+  render() {
+    const { page, perPage, itemCount, pageCount } = this;
+    const first = !itemCount ? 0 : Math.min((page - 1) * perPage + 1, itemCount);
+    const last = Math.min(page * perPage, itemCount);
+    const options = [...new Set([...this.perPageOptions, perPage])].sort((a, b) => a - b);
+    return html`
+      <nav id="container" aria-label="${this.accessibleLabel}">
+        <div id="options">
+          <span id="range"><b>${first}–${last}</b> of <b>${itemCount}</b></span>
+          <pf-select id="per-page"
+                     accessible-label="Items per page"
+                     @change="${this.#onPerPageChange}">${options.map(option => html`
+            <pf-option value="${option}" ?selected="${option === perPage}">${option} per page</pf-option>`)}
+          </pf-select>
+        </div>
+        <div id="nav">
+          <pf-button id="first"
+                     plain
+                     icon="angle-double-left"
+                     label="Go to first page"
+                     ?disabled="${page <= 1}"
+                     @click="${() => this.#setPage(1)}"></pf-button>
+          <pf-button id="previous"
+                     plain
+                     icon="angle-left"
+                     label="Go to previous page"
+                     ?disabled="${page <= 1}"
+                     @click="${() => this.#setPage(page - 1)}"></pf-button>
+          <div id="page-select">
+            <pf-text-input id="page-input"
+                           type="number"
+                           accessible-label="Current page"
+                           .value="${live(String(page))}"
+                           @keydown="${this.#onPageInputKeydown}"
+                           @focusout="${this.#onPageInputCommit}"></pf-text-input>
+            <span aria-hidden="true">of ${pageCount}</span>
+          </div>
+          <pf-button id="next"
+                     plain
+                     icon="angle-right"
+                     label="Go to next page"
+                     ?disabled="${page >= pageCount}"
+                     @click="${() => this.#setPage(page + 1)}"></pf-button>
+          <pf-button id="last"
+                     plain
+                     icon="angle-double-right"
+                     label="Go to last page"
+                     ?disabled="${page >= pageCount}"
+                     @click="${() => this.#setPage(pageCount)}"></pf-button>
+        </div>
+      </nav>
+    `;
+  }
+
+  /** Pages the table with the `for` ID, and counts its rows */
+  async #bindTable() {
+    this.#table?.removeEventListener('filter', this.#onTableFilter);
+    this.#table = null;
+    if (!this.for) {
+      return;
+    }
+    const element = this.#rootNode.getElementById(this.for);
+    if (!element && document.readyState === 'loading') {
+      // the table may come after the pagination in the document
+      document.addEventListener('DOMContentLoaded', () => this.#bindTable(), { once: true });
+      return;
+    }
+    if (element?.localName !== 'pf-table') {
+      return;
+    }
+    await customElements.whenDefined('pf-table');
+    const table = element as PfTable;
+    this.#table = table;
+    table.addEventListener('filter', this.#onTableFilter);
+    await table.updateComplete;
+    table.perPage = this.perPage;
+    table.page = this.page;
+    this.#countItems();
+  }
+
+  #onTableFilter = (event: Event) => {
+    // ignore nested tables
+    if (event.target === this.#table) {
+      this.#countItems();
+    }
+  };
+
+  #countItems() {
+    if (this.#table) {
+      this.itemCount = this.#table.matchCount;
+      // stay within the pages there are
+      this.page = Math.min(this.page, this.pageCount);
+    }
+  }
+
+  #onPerPageChange(event: Event) {
+    const select = event.target as PfSelect;
+    const perPage = parseInt(select.value ?? '');
+    if (perPage && perPage !== this.perPage) {
+      // keep the first item on the current page in view
+      const firstItem = (this.page - 1) * this.perPage;
+      this.#setPage(Math.floor(firstItem / perPage) + 1, perPage);
+      // when the page-change event is cancelled, select the current number of items again
+      const current = select.options.find(option => option.value === String(this.perPage));
+      if (this.perPage !== perPage && current) {
+        select.selected = current;
+      }
+    }
+  }
+
+  #onPageInputKeydown(event: KeyboardEvent) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      this.#onPageInputCommit(event);
+    }
+  }
+
+  #onPageInputCommit(event: Event) {
+    const page = parseInt((event.currentTarget as PfTextInput).value);
+    if (Number.isNaN(page)) {
+      this.requestUpdate();
+    } else {
+      this.#setPage(page);
+    }
+  }
+
+  /**
+   * Changes the page, unless the `page-change` event is cancelled
+   * @param page the requested page
+   * @param perPage the requested number of items per page
+   */
+  #setPage(page: number, perPage = this.perPage) {
+    const pageCount = Math.max(1, Math.ceil(this.itemCount / perPage));
+    const clamped = Math.min(Math.max(1, page), pageCount);
+    if ((clamped !== this.page || perPage !== this.perPage)
+        && this.dispatchEvent(new PfPaginationPageChangeEvent(clamped, perPage))) {
+      this.page = clamped;
+      this.perPage = perPage;
+    } else {
+      // reset the page input
+      this.requestUpdate();
+    }
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'pf-pagination': PfPagination;
+  }
+}
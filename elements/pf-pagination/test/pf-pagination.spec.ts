@@ -0,0 +1,215 @@
+import { expect, html, oneEvent, waitUntil } from '@open-wc/testing';
+import { createFixture } from '@patternfly/pfe-tools/test/create-fixture.js';
+import { a11ySnapshot, type A11yTreeSnapshot } from '@patternfly/pfe-tools/test/a11y-snapshot.js';
+import { PfPagination, PfPaginationPageChangeEvent } from '@patternfly/elements/pf-pagination/pf-pagination.js';
+import { PfTable } from '@patternfly/elements/pf-table/pf-table.js';
+import type { PfSelect } from '@patternfly/elements/pf-select/pf-select.js';
+
+/** finds the nodes in the snapshot tree, depth-first, which match the predicate */
+function findNodes(
+  node: A11yTreeSnapshot,
+  predicate: (node: A11yTreeSnapshot) => boolean,
+): A11yTreeSnapshot[] {
+  return [
+    ...predicate(node) ? [node] : [],
+    ...(node.children ?? []).flatMap(child => findNodes(child, predicate)),
+  ];
+}
+
+describe('<pf-pagination>', function() {
+  it('imperatively instantiates', function() {
+    expect(document.createElement('pf-pagination')).to.be.an.instanceof(PfPagination);
+  });
+
+  it('should upgrade', async function() {
+    const klass = customElements.get('pf-pagination');
+    expect(await createFixture<PfPagination>(html`<pf-pagination></pf-pagination>`))
+        .to.be.an.instanceOf(klass)
+        .and
+        .to.be.an.instanceOf(PfPagination);
+  });
+
+  describe('with item-count', function() {
+    let element: PfPagination;
+    let event: PfPaginationPageChangeEvent | undefined;
+
+    const getButton = (id: string) =>
+      element.shadowRoot!.getElementById(id) as HTMLElement & { disabled: boolean };
+
+    beforeEach(async function() {
+      event = undefined;
+      element = await createFixture<PfPagination>(html`
+        <pf-pagination item-count="340"
+                       per-page="20"
+                       @page-change="${(e: PfPaginationPageChangeEvent) => event = e}"></pf-pagination>
+      `);
+    });
+
+    it('shows the range of items', function() {
+      expect(element.shadowRoot!.getElementById('range')!.textContent).to.equal('1–20 of 340');
+    });
+
+    it('counts the pages', function() {
+      expect(element.pageCount).to.equal(17);
+    });
+
+    it('disables the first and previous buttons', function() {
+      expect(getButton('first').disabled).to.be.true;
+      expect(getButton('previous').disabled).to.be.true;
+      expect(getButton('next').disabled).to.be.false;
+    });
+
+    it('labels the navigation', function() {
+      // playwright's accessibility snapshot leaves out landmarks, so check the DOM
+      const nav = element.shadowRoot!.querySelector('nav');
+      expect(nav).to.have.attribute('aria-label', 'Pagination');
+    });
+
+    it('labels the page buttons', async function() {
+      const snapshot = await a11ySnapshot();
+      const names = findNodes(snapshot, x => x.role === 'button').map(x => x.name);
+      expect(names).to.deep.equal([
+        'Go to first page',
+        'Go to previous page',
+        'Go to next page',
+        'Go to last page',
+      ]);
+    });
+
+    describe('clicking the next button', function() {
+      beforeEach(async function() {
+        getButton('next').click();
+        await element.updateComplete;
+      });
+
+      it('fires a page-change event', function() {
+        expect(event).to.be.an.instanceOf(PfPaginationPageChangeEvent);
+        expect(event!.page).to.equal(2);
+        expect(event!.perPage).to.equal(20);
+      });
+
+      it('goes to the next page', function() {
+        expect(element.page).to.equal(2);
+        expect(element.shadowRoot!.getElementById('range')!.textContent).to.equal('21–40 of 340');
+      });
+    });
+
+    describe('clicking the last button', function() {
+      beforeEach(async function() {
+        getButton('last').click();
+        await element.updateComplete;
+      });
+
+      it('goes to the last page', function() {
+        expect(element.page).to.equal(17);
+        expect(element.shadowRoot!.getElementById('range')!.textContent).to.equal('321–340 of 340');
+      });
+    });
+
+    describe('when the page-change event is cancelled', function() {
+      beforeEach(async function() {
+        element.addEventListener('page-change', e => e.preventDefault());
+        getButton('next').click();
+        await element.updateComplete;
+      });
+
+      it('stays on the current page', function() {
+        expect(element.page).to.equal(1);
+      });
+
+      describe('then choosing another number of items per page', function() {
+        let select: PfSelect;
+
+        beforeEach(async function() {
+          select = element.shadowRoot!.getElementById('per-page') as PfSelect;
+          const cancelled = oneEvent(element, 'page-change', false);
+          select.selected = select.options.find(option => option.value === '50')!;
+          await cancelled;
+          await waitUntil(() => select.value === '20', 'select did not reset');
+          await select.updateComplete;
+        });
+
+        it('keeps the number of items per page', function() {
+          expect(element.perPage).to.equal(20);
+        });
+
+        it('selects the current number of items per page again', function() {
+          expect(select.selected).to.have.property('value', '20');
+          expect(select.value).to.equal('20');
+        });
+      });
+    });
+  });
+
+  describe('for a table', function() {
+    let element: PfPagination;
+    let table: PfTable;
+
+    const getVisibleNames = () =>
+      Array.from(table.rows)
+          .filter(row => !row.hidden)
+          .map(row => row.querySelector('pf-td')?.textContent?.trim());
+
+    beforeEach(async function() {
+      const container = await createFixture<HTMLElement>(html`
+        <div>
+          <pf-pagination for="paged" per-page="2"></pf-pagination>
+          <pf-table id="paged">
+            <pf-thead>
+              <pf-tr><pf-th>Name</pf-th></pf-tr>
+            </pf-thead>
+            <pf-tr><pf-td>a</pf-td></pf-tr>
+            <pf-tr><pf-td>b</pf-td></pf-tr>
+            <pf-tr><pf-td>c</pf-td></pf-tr>
+            <pf-tr><pf-td>d</pf-td></pf-tr>
+            <pf-tr><pf-td>e</pf-td></pf-tr>
+          </pf-table>
+        </div>
+      `);
+      element = container.querySelector('pf-pagination')!;
+      table = container.querySelector('pf-table')!;
+      await table.updateComplete;
+      await element.updateComplete;
+      await table.updateComplete;
+    });
+
+    it('counts the table rows', function() {
+      expect(element.itemCount).to.equal(5);
+      expect(element.pageCount).to.equal(3);
+    });
+
+    it('shows the first page of rows', function() {
+      expect(getVisibleNames()).to.deep.equal(['a', 'b']);
+    });
+
+    describe('going to the last page', function() {
+      beforeEach(async function() {
+        element.page = 3;
+        await element.updateComplete;
+        await table.updateComplete;
+      });
+
+      it('shows the last page of rows', function() {
+        expect(getVisibleNames()).to.deep.equal(['e']);
+      });
+
+      describe('then filtering the table', function() {
+        beforeEach(async function() {
+          table.filter = 'a';
+          await table.updateComplete;
+          await element.updateComplete;
+          await table.updateComplete;
+        });
+
+        it('counts the matching rows', function() {
+          expect(element.itemCount).to.equal(1);
+        });
+
+        it('goes to the last page there is', function() {
+          expect(element.page).to.equal(1);
+          expect(getVisibleNames()).to.deep.equal(['a']);
+        });
+      });
+    });
+  });
+});
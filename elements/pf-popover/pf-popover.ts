@@ -9,7 +9,10 @@ import { FloatingDOMController } from '@patternfly/pfe-core/controllers/floating
 import { SlotController } from '@patternfly/pfe-core/controllers/slot-controller.js';
 import { bound } from '@patternfly/pfe-core/decorators/bound.js';
 import { ComposedEvent, StringListConverter } from '@patternfly/pfe-core/core.js';
-import type { Placement } from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
+import type {
+  Placement,
+  VirtualElement,
+} from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
 import '@patternfly/elements/pf-button/pf-button.js';
 import styles from './pf-popover.css';
 import { deprecation } from '@patternfly/pfe-core/decorators/deprecation.js';
@@ -311,6 +314,13 @@ export class PfPopover extends LitElement {
    */
   @property({ reflect: true }) trigger?: string;
 
+  /**
+   * An element, or a virtual element like a text selection, at which to position the popover,
+   * instead of at its trigger. Use `createRangeInvoker()` and `createPointInvoker()` from the
+   * floating DOM controller module to create virtual elements.
+   */
+  @property({ attribute: false }) anchor?: Element | VirtualElement | null;
+
   @query('#popover') private _popover!: HTMLDialogElement;
   @query('#trigger') private _slottedTrigger?: HTMLElement | null;
   @query('#arrow') private _arrow!: HTMLDivElement;
@@ -323,7 +333,8 @@ export class PfPopover extends LitElement {
   #float = new FloatingDOMController(this, {
     content: () => this._popover,
     arrow: () => this._arrow,
-    invoker: () => this.#referenceTrigger || this._slottedTrigger,
+    invoker: () => this.anchor || this.#referenceTrigger || this._slottedTrigger,
+    onDismiss: () => this.hide(),
   });
 
   #slots = new SlotController(this, null, 'icon', 'heading', 'body', 'footer');
@@ -334,7 +345,7 @@ export class PfPopover extends LitElement {
   }
 
   render() {
-    const { alignment, anchor, styles } = this.#float;
+    const { alignment, anchor, styles, topLayer } = this.#float;
     const hasFooter = this.#slots.hasSlotted('footer') || !!this.footer;
     const hasHeading = this.#slots.hasSlotted('heading') || !!this.heading;
     const hasIcon = this.#slots.hasSlotted('icon') || !!this.icon || !!this.alertSeverity;
@@ -359,7 +370,9 @@ export class PfPopover extends LitElement {
     return html`
       <div id="container"
            style="${styleMap(styles)}"
-           class="${classMap({ [anchor]: !!anchor, [alignment]: !!alignment })}">
+           class="${classMap({ 'top-layer': topLayer,
+                               [anchor]: !!anchor,
+                               [alignment]: !!alignment })}">
         <slot id="trigger"
               @slotchange="${this.#triggerChanged}"
               @keydown="${this.#onKeydown}"
@@ -445,7 +458,10 @@ export class PfPopover extends LitElement {
 
   #outsideClick(event: MouseEvent) {
     const path = event.composedPath();
-    if (!path.includes(this) && !path.includes(this.#referenceTrigger as HTMLElement)) {
+    const anchor = this.anchor instanceof Element ? this.anchor : this.anchor?.contextElement;
+    if (!path.includes(this)
+        && !path.includes(this.#referenceTrigger as HTMLElement)
+        && !(anchor && path.includes(anchor))) {
       this.hide();
     }
   }
@@ -460,6 +476,12 @@ export class PfPopover extends LitElement {
     }
   }
 
+  override updated(changed: PropertyValues<this>) {
+    if (changed.has('anchor')) {
+      this.#float.update();
+    }
+  }
+
   /**
    * Toggle the popover
    */
@@ -4,6 +4,10 @@ import { clickElementAtCenter } from '@patternfly/pfe-tools/test/utils.js';
 import { sendKeys, resetMouse } from '@web/test-runner-commands';
 import { PfPopover } from '@patternfly/elements/pf-popover/pf-popover.js';
 import { PfButton } from '@patternfly/elements/pf-button/pf-button.js';
+import {
+  createPointInvoker,
+  createRangeInvoker,
+} from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
 
 function press(key: string) {
   return async function() {
@@ -253,4 +257,66 @@ describe('<pf-popover>', function() {
       });
     });
   });
+
+  describe('with an anchor', function() {
+    let paragraph: HTMLElement;
+    let dialog: HTMLElement;
+
+    beforeEach(async function() {
+      const container = await fixture<HTMLElement>(html`
+        <div>
+          <p style="margin-block-start: 200px;">Free software is a matter of <b>liberty</b></p>
+          <pf-popover body="Annotation" position="bottom" style="height: 0;"></pf-popover>
+        </div>
+      `);
+      paragraph = container.querySelector('p')!;
+      element = container.querySelector('pf-popover')!;
+      dialog = element.shadowRoot!.getElementById('popover')!;
+    });
+
+    describe('at a range', function() {
+      beforeEach(async function() {
+        const range = document.createRange();
+        range.selectNodeContents(paragraph.querySelector('b')!);
+        element.anchor = createRangeInvoker(range);
+        await element.show();
+        await nextFrame();
+      });
+
+      it('positions the popover below the range', function() {
+        const text = paragraph.querySelector('b')!.getBoundingClientRect();
+        const { top } = dialog.getBoundingClientRect();
+        expect(top).to.be.at.least(text.bottom);
+        expect(top).to.be.below(text.bottom + 50);
+      });
+    });
+
+    describe('at a point', function() {
+      beforeEach(async function() {
+        const { left, top } = paragraph.getBoundingClientRect();
+        element.anchor = createPointInvoker({ clientX: left + 10, clientY: top + 5 }, paragraph);
+        await element.show();
+        await nextFrame();
+      });
+
+      it('positions the popover below the point', function() {
+        const { top } = paragraph.getBoundingClientRect();
+        const rect = dialog.getBoundingClientRect();
+        expect(rect.top).to.be.at.least(top + 5);
+        expect(rect.top).to.be.below(top + 55);
+      });
+
+      describe('clicking the anchor element', function() {
+        beforeEach(async function() {
+          await clickElementAtCenter(paragraph);
+          await resetMouse();
+          await updateComplete();
+        });
+
+        it('keeps the popover open', function() {
+          expect(dialog.hasAttribute('open')).to.be.true;
+        });
+      });
+    });
+  });
 });
@@ -154,7 +154,8 @@ export class PfProgress extends LitElement {
 
         ${!descriptionTruncated ? '' : html`
         <pf-tooltip content="${this.description ?? ''}"
-                    trigger="description"></pf-tooltip>
+                    trigger="description"
+                    aria="none"></pf-tooltip>
         `}
 
         ${measureLocation === 'none' ? '' : html`
@@ -36,10 +36,10 @@ export class PfOption extends LitElement {
   }
 
   /** whether option is selected */
-  @property({ type: Boolean }) selected = false;
+  @property({ type: Boolean, reflect: true }) selected = false;
 
   /** whether option is active descendant */
-  @property({ type: Boolean }) active = false;
+  @property({ type: Boolean, reflect: true }) active = false;
 
   /** Optional option description; overridden by description slot. */
   @property() description = '';
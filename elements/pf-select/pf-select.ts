@@ -4,6 +4,7 @@ import { LitElement, html, type PropertyValues } from 'lit';
 import { customElement } from 'lit/decorators/custom-element.js';
 import { property } from 'lit/decorators/property.js';
 import { query } from 'lit/decorators/query.js';
+import { state } from 'lit/decorators/state.js';
 import { repeat } from 'lit/directives/repeat.js';
 import { styleMap } from 'lit/directives/style-map.js';
 import { classMap } from 'lit/directives/class-map.js';
@@ -11,20 +12,62 @@ import { ifDefined } from 'lit/directives/if-defined.js';
 
 import { ListboxController } from '@patternfly/pfe-core/controllers/listbox-controller.js';
 import { RovingTabindexController } from '@patternfly/pfe-core/controllers/roving-tabindex-controller.js';
+import { ActiveDescendantController } from '@patternfly/pfe-core/controllers/active-descendant-controller.js';
 import { InternalsController } from '@patternfly/pfe-core/controllers/internals-controller.js';
+import { Logger } from '@patternfly/pfe-core/controllers/logger.js';
 import {
   FloatingDOMController,
   type Placement,
 } from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
 
 import { PfOption } from './pf-option.js';
+import './pf-option-group.js';
 
 import styles from './pf-select.css';
 import { SlotController } from '@patternfly/pfe-core/controllers/slot-controller.js';
 
 export interface PfSelectUserOptions {
+  /** unique key for the option, e.g. a database record id */
   id: string;
   value: string;
+  /** option text. defaults to the value */
+  label?: string;
+  description?: string;
+  disabled?: boolean;
+}
+
+/** A page of options, returned from a `dataSource` */
+export interface PfSelectDataSourcePage {
+  options: PfSelectUserOptions[];
+  /** whether there are more pages of options for the query */
+  hasMore?: boolean;
+}
+
+/**
+ * Loads a page of options from e.g. a server.
+ * @param query the typeahead filter text, or `''`
+ * @param page zero-based page index
+ * @param signal aborted when a newer request supersedes this one
+ */
+export type PfSelectDataSource = (
+  query: string,
+  page: number,
+  signal: AbortSignal,
+) => Promise<PfSelectDataSourcePage>;
+
+/** how close to the end of the listbox, in pixels, to load the next page */
+const LOAD_MORE_THRESHOLD = 48;
+
+let valueMissingMessage: string | undefined;
+
+/** the browser's localized validation message for a required `<select>` */
+function getValueMissingMessage() {
+  if (valueMissingMessage === undefined) {
+    const select = document.createElement('select');
+    select.required = true;
+    valueMissingMessage = select.validationMessage;
+  }
+  return valueMissingMessage;
 }
 
 export class PfSelectChangeEvent extends Event {
@@ -33,10 +76,11 @@ export class PfSelectChangeEvent extends Event {
   }
 }
 
-// NOTE: this file contains numerous // comments, which ordinarily would be deleted
-// They are here to save the work already done on typeahead, which has a much more complex
-// accessibility model, and which is planned for the next release
-// * @fires filter - when the filter value changes. used to perform custom filtering
+export class PfSelectFilterEvent extends Event {
+  constructor(public filter: string) {
+    super('filter', { bubbles: true });
+  }
+}
 
 /**
  * A select list enables users to select one or more items from a list.
@@ -48,6 +92,9 @@ export class PfSelectChangeEvent extends Event {
  * @slot placeholder - placeholder text for the select. Overrides the `placeholder` attribute.
  * @fires open - when the menu toggles open
  * @fires close - when the menu toggles closed
+ * @cssprop {<length>} --pf-c-select__menu--MaxHeight - maximum height of the listbox when using a `dataSource` {@default `20rem`}
+ * @fires {PfSelectFilterEvent} filter - when the typeahead filter value changes.
+ *                                       used to perform custom filtering
  */
 @customElement('pf-select')
 export class PfSelect extends LitElement {
@@ -64,14 +111,23 @@ export class PfSelect extends LitElement {
 
   #float = new FloatingDOMController(this, {
     content: () => this.shadowRoot?.getElementById('listbox-container') ?? null,
+    onDismiss: () => this.hide(),
   });
 
   #slots = new SlotController(this, null, 'placeholder');
 
-  #listbox?: ListboxController<PfOption>; /* | ListboxActiveDescendantController */
+  #logger = new Logger(this);
+
+  #listbox?: ListboxController<PfOption>;
+
+  /** typeahead variants keep focus on the input, and use active descendant */
+  #combobox?: ActiveDescendantController<PfOption>;
+
+  /** the variant's keyboard accessibility controller, either roving tabindex or active descendant */
+  #a11yController?: RovingTabindexController<PfOption> | ActiveDescendantController<PfOption>;
 
   /** Variant of rendered Select */
-  @property() variant: 'single' | 'checkbox' /* | 'typeahead' | 'typeaheadmulti' */ = 'single';
+  @property() variant: 'single' | 'checkbox' | 'typeahead' | 'typeaheadmulti' = 'single';
 
   /**
    * Accessible label for the select
@@ -95,6 +151,15 @@ export class PfSelect extends LitElement {
    */
   @property({ type: Boolean, reflect: true }) disabled = false;
 
+  /** Form field name. Checkbox and typeaheadmulti variants submit one entry per selected option */
+  @property({ reflect: true }) name?: string;
+
+  /** Whether the user must select an option before submitting the form */
+  @property({ type: Boolean, reflect: true }) required = false;
+
+  /** Displayed when validation fails. Defaults to the browser's validation message */
+  @property({ attribute: 'error-text' }) errorText?: string;
+
   /**
    * Whether the select listbox is expanded
    */
@@ -105,7 +170,8 @@ export class PfSelect extends LitElement {
    */
   @property({ attribute: 'enable-flip', type: Boolean }) enableFlip = false;
 
-  // @property() filter = '';
+  /** Current typeahead filter text */
+  @property() filter = '';
 
   /** Current form value */
   @property() value?: string;
@@ -126,7 +192,34 @@ export class PfSelect extends LitElement {
     type: Boolean,
   }) checkboxSelectionBadgeHidden = false;
 
-  // @property({ attribute: false }) customFilter?: (option: PfOption) => boolean;
+  /**
+   * Predicate which decides whether an option is shown for the current `filter`.
+   * By default, typeahead variants show options whose text starts with the filter,
+   * ignoring case.
+   */
+  @property({ attribute: false }) customFilter?: (option: PfOption) => boolean;
+
+  /**
+   * Async callback which loads options, e.g. from a server.
+   * When set, the select creates its own `pf-option`s from the results,
+   * loading the first page when the listbox opens, and the next page when
+   * the user scrolls to the end of the listbox.
+   * Typeahead variants pass the filter text as the query, instead of filtering locally.
+   * Selected options are kept across queries and pages.
+   */
+  @property({ attribute: false }) dataSource?: PfSelectDataSource;
+
+  /** Milliseconds to wait after the user stops typing before querying the `dataSource` */
+  @property({ attribute: 'debounce-delay', type: Number }) debounceDelay = 300;
+
+  /** Text shown while the `dataSource` is loading */
+  @property({ attribute: 'loading-text' }) loadingText = 'Loading...';
+
+  /** Text shown when the `dataSource` returns no options */
+  @property({ attribute: 'no-results-text' }) noResultsText = 'No results found';
+
+  /** Whether the `dataSource` is loading */
+  @state() private loading = false;
 
   /**
    * Single select option value for single select menus,
@@ -146,25 +239,66 @@ export class PfSelect extends LitElement {
   get options(): PfOption[] {
     const opts = Array.from(this.querySelectorAll('pf-option'));
     const placeholder = this.shadowRoot?.getElementById('placeholder') as PfOption | null;
-    if (placeholder) {
+    if (placeholder && !this.#isTypeahead) {
       return [placeholder, ...opts];
     } else {
       return opts;
     }
   }
 
-  // @query('pf-chip-group') private _chipGroup?: PfChipGroup;
+  /** Validation message, when the select is invalid */
+  get validationMessage() {
+    return this.#internals.validationMessage;
+  }
+
+  /** The select's validity state */
+  get validity() {
+    return this.#internals.validity;
+  }
+
+  /** The form which the select belongs to */
+  get form() {
+    return this.#internals.form;
+  }
 
-  // @query('#toggle-input') private _input?: HTMLInputElement;
+  @query('#toggle-input') private _input?: HTMLInputElement;
 
   @query('#toggle-button') private _toggle?: HTMLButtonElement;
 
   #lastSelected = this.selected;
 
+  /** values of the options which were selected initially, for form reset */
+  #defaultValues?: string[];
+
+  /** message set with `setCustomValidity` */
+  #customValidityMessage = '';
+
+  /** whether to show validation state, i.e. after the user or the form checked validity */
+  #touched = false;
+
+  /** options created from `dataSource` results, by their `id` */
+  #remoteOptions = new Map<string, PfOption>();
+
+  /** whether the `dataSource` returned at least once for the current query */
+  #loaded = false;
+
+  #page = 0;
+
+  #hasMore = false;
+
+  #abortController?: AbortController;
+
+  /** pending load, while the user is typing */
+  #loadTimer?: ReturnType<typeof setTimeout>;
+
   get #listboxElement() {
     return this.shadowRoot?.getElementById('listbox') ?? null;
   }
 
+  get #isTypeahead() {
+    return this.variant === 'typeahead' || this.variant === 'typeaheadmulti';
+  }
+
   /**
    * whether select has badge for number of selected items
    */
@@ -175,9 +309,8 @@ export class PfSelect extends LitElement {
 
   get #buttonLabel() {
     switch (this.variant) {
-      // TODO: implement typeaheadmulti with ActiveDescendantController
-      // case 'typeaheadmulti':
-      //   return `${this.#listbox?.selectedOptions?.length ?? 0} ${this.itemsSelectedText}`
+      case 'typeaheadmulti':
+        return `${this.#listbox?.selectedOptions?.length ?? 0} ${this.itemsSelectedText}`;
       case 'checkbox':
         return this.#listbox
             ?.selectedOptions
@@ -193,76 +326,113 @@ export class PfSelect extends LitElement {
     }
   }
 
+  constructor() {
+    super();
+    this.addEventListener('invalid', this.#onInvalid);
+  }
+
   override willUpdate(changed: PropertyValues<this>) {
     if (this.variant === 'checkbox') {
       import('@patternfly/elements/pf-badge/pf-badge.js');
     }
+    if (this.variant === 'typeaheadmulti') {
+      import('@patternfly/elements/pf-chip/pf-chip-group.js');
+    }
+    if (this.dataSource) {
+      import('@patternfly/elements/pf-spinner/pf-spinner.js');
+    }
+    if (changed.has('dataSource')) {
+      this.#dataSourceChanged();
+    }
     if (changed.has('variant')) {
       this.#variantChanged();
     }
-    if (changed.has('value')) {
-      this.#internals.setFormValue(this.value ?? '');
+    if (changed.has('value') || changed.has('name')) {
+      this.#updateFormValue();
     }
     if (changed.has('disabled')) {
       this.#listbox!.disabled = this.disabled;
     }
-    // TODO: handle filtering in the element, not the controller
-    // if (changed.has('filter')) {
-    //   this.#listbox.filter = this.filter;
-    // }
+    if (changed.has('filter') || changed.has('customFilter')) {
+      // don't fire on initialization
+      this.#filterChanged(changed.has('filter') && changed.get('filter') !== undefined);
+    }
+    if (changed.has('value') || changed.has('required') || changed.has('errorText')) {
+      this.#updateValidity();
+    }
   }
 
   override render() {
-    const { disabled, expanded, variant } = this;
-    const { anchor = 'bottom', alignment = 'start', styles = {} } = this.#float;
+    const { expanded, variant } = this;
+    const disabled = this.disabled || !!this.#internals.formDisabled;
+    const invalid = this.#touched && !this.#internals.validity.valid;
+    const { anchor = 'bottom', alignment = 'start', styles = {}, topLayer } = this.#float;
     const { computedLabelText } = this.#internals;
     const { height, width } = this.getBoundingClientRect() || {};
     const buttonLabel = this.#buttonLabel;
     const hasBadge = this.#hasBadge;
     const selectedOptions = this.#listbox?.selectedOptions ?? [];
-    const typeahead = variant.startsWith('typeahead');
+    const typeahead = this.#isTypeahead;
+    const chips = variant === 'typeaheadmulti';
     const checkboxes = variant === 'checkbox';
     const offscreen = typeahead && 'offscreen';
     const badge = hasBadge && 'badge';
     const hasSelection = !!(Array.isArray(this.selected) ? this.selected.length : this.selected);
+    const async = !!this.dataSource;
+    const { loading } = this;
+    const empty = async && this.#loaded && ![...this.#remoteOptions.values()].some(x => !x.hidden);
 
     return html`
       <div id="outer"
            style="${styleMap(styles)}"
            class="${classMap({
              disabled,
+             invalid,
              typeahead,
              expanded,
+             async,
+             'top-layer': topLayer,
              [anchor]: !!anchor,
              [alignment]: !!alignment,
            })}">
         <div id="toggle">
-          ${!(typeahead && selectedOptions.length < 1) ? '' : html`
-          <pf-chip-group label="${this.accessibleCurrentSelectionsLabel}">
+          ${!(chips && selectedOptions.length) ? '' : html`
+          <pf-chip-group accessible-label="${this.accessibleCurrentSelectionsLabel}">
             ${repeat(selectedOptions, opt => opt.id, opt => html`
-            <pf-chip id="chip-${opt.textContent}"
+            <pf-chip id="chip-${opt.id}"
                      .readonly="${this.disabled}"
-                     @remove="${this.#onChipRemove.bind(this, opt)}">${opt.textContent}</pf-chip>`)}
+                     @remove="${this.#onChipRemove.bind(this, opt)}">${opt.optionText}</pf-chip>`)}
           </pf-chip-group>`}
-          ${!typeahead ? '' : /* TODO: aria attrs */ html`
+          ${!typeahead ? '' : html`
           <input id="toggle-input"
-                 aria-label="${this.accessibleLabel ?? (computedLabelText || buttonLabel)}"
-                 aria-autocomplete="both"
+                 role="combobox"
+                 autocomplete="off"
+                 aria-label="${this.accessibleLabel || computedLabelText || buttonLabel}"
+                 aria-autocomplete="list"
+                 aria-controls="listbox"
+                 aria-haspopup="listbox"
+                 aria-expanded="${String(this.expanded) as 'true' | 'false'}"
+                 aria-describedby="${ifDefined(invalid ? 'error-text' : undefined)}"
+                 aria-invalid="${String(invalid) as 'true' | 'false'}"
                  ?disabled="${disabled}"
-                 ?hidden="${!typeahead}"
+                 ?required="${this.required}"
                  placeholder="${buttonLabel}"
-                 @input="${this.#onTypeaheadInput}">
+                 @input="${this.#onTypeaheadInput}"
+                 @keydown="${this.#onTypeaheadKeydown}"
+                 @focusout="${this.#onTypeaheadFocusout}">
           `}
           <button id="toggle-button"
                   role="combobox"
                   aria-hidden="${typeahead.toString() as 'true' | 'false'}"
                   aria-label="${ifDefined(this.accessibleLabel || this.#internals.computedLabelText || undefined)}"
-                  aria-describedby="placeholder"
+                  aria-describedby="placeholder${invalid ? ' error-text' : ''}"
+                  aria-invalid="${String(invalid) as 'true' | 'false'}"
+                  aria-required="${String(this.required) as 'true' | 'false'}"
                   aria-controls="listbox"
                   aria-haspopup="listbox"
                   aria-expanded="${String(this.expanded) as 'true' | 'false'}"
                   @keydown="${this.#onButtonKeydown}"
-                  @click="${() => !typeahead && this.toggle()}"
+                  @click="${() => this.toggle()}"
                   tabindex="${ifDefined(typeahead ? -1 : undefined)}">
             <span id="button-text" style="display: contents;">
               <span id="toggle-text"
@@ -281,9 +451,10 @@ export class PfSelect extends LitElement {
         <div id="listbox-container"
              ?hidden="${!expanded}"
              style="${styleMap({
-               marginTop: `${height || 0}px`,
+               marginTop: topLayer ? undefined : `${height || 0}px`,
                width: width ? `${width}px` : 'auto',
-             })}">
+             })}"
+             @scroll="${this.#onListboxContainerScroll}">
           <div id="listbox"
                @focusout="${this.#onListboxFocusout}"
                @keydown="${this.#onListboxKeydown}"
@@ -291,12 +462,22 @@ export class PfSelect extends LitElement {
             <pf-option id="placeholder"
                        disabled
                        aria-hidden="${ifDefined(hasSelection ? 'true' : undefined)}"
-                       ?hidden="${!this.placeholder && !this.#slots.hasSlotted('placeholder')}">
+                       ?hidden="${typeahead || (!this.placeholder && !this.#slots.hasSlotted('placeholder'))}">
               <slot name="placeholder">${this.placeholder}</slot>
             </pf-option>
-            <slot @slotchange="${this.#onListboxSlotchange}"></slot>
+            ${this.#combobox?.renderItemsToShadowRoot() ?? ''}
+            <slot ?hidden="${!(this.#combobox?.canControlLightDom ?? true)}"
+                  @slotchange="${this.#onListboxSlotchange}"></slot>
+          </div>
+          <div id="status"
+               role="status"
+               ?hidden="${!async}">${loading ? html`
+            <pf-spinner size="md"></pf-spinner>
+            <span>${this.loadingText}</span>` : !empty ? '' : html`
+            <span>${this.noResultsText}</span>`}
           </div>
         </div>
+        <span id="error-text" ?hidden="${!invalid}">${this.#internals.validationMessage}</span>
       </div>
     `;
   }
@@ -308,75 +489,275 @@ export class PfSelect extends LitElement {
     if (changed.has('value')) {
       this.dispatchEvent(new Event('change', { bubbles: true, cancelable: true }));
     }
-    // whether select has removable chips for selected items
-    // NOTE: revisit this in v5
-    // const hasChips = this.variant === 'typeaheadmulti';
-    // reset input if chip has been added
-    // if (this.hasChips && this._input?.value) {
-    //   const chip = this.shadowRoot?.querySelector(`pf-chip#chip-${this._input?.value}`) as HTMLElement;
-    //   if (chip && this._chipGroup) {
-    //     this._chipGroup.focusOnChip(chip);
-    //     this._input.value = '';
-    //   }
-    // }
   }
 
   override firstUpdated() {
     // kick the renderer to that the placeholder gets picked up
     this.requestUpdate();
-    // TODO: don't do filtering in the controller
-    // if (this.variant === 'typeaheadmulti') {
-    //   this.#listbox.filter = this.filter;
-    // }
   }
 
   #variantChanged() {
-    this.#listbox?.hostDisconnected();
     const getHTMLElement = () => this.#listboxElement;
+    const isSelected = (option: PfOption) => option.selected;
+    const getItemText = (option: PfOption) => option.optionText || option.value;
+    const getGroups = () => Array.from(this.querySelectorAll('pf-option-group'));
+    const getGroupLabel = (group: HTMLElement) =>
+      group.querySelector('[slot="label"]')?.textContent?.trim() || group.getAttribute('label');
+    const getGroupLabelElement = (group: HTMLElement) =>
+      group.shadowRoot?.getElementById('label-container');
+    const requestSelect = (option: PfOption, selected?: boolean) => {
+      this.#lastSelected = this.selected;
+      option.selected = !option.disabled && !!selected;
+      this.#selectedChanged();
+      return true;
+    };
     switch (this.variant) {
-      // TODO
-      // case 'typeahead':
-      // case 'typeaheadmulti':
-      //   this.#controller = new ListboxController.of<PfOption>(this, {
-      //     multi: this.variant==='typeaheadmulti',
-      //     a11yController: ActiveDescendantController.of(this)
-      //   });
-      //   break;
-      default:
+      case 'typeahead':
+      case 'typeaheadmulti':
+        this.#combobox = ActiveDescendantController.of<PfOption>(this, {
+          getHTMLElement,
+          getItems: () => this.options,
+          getControllingElement: () => this._input ?? null,
+          setItemActive: (item, active) => item.active = active,
+        });
+        this.#setA11yController(this.#combobox);
+        this.#listbox = ListboxController.of<PfOption>(this, {
+          multi: this.variant === 'typeaheadmulti',
+          getHTMLElement,
+          isSelected,
+          requestSelect,
+          getItemText,
+          getGroups,
+          getGroupLabel,
+          getGroupLabelElement,
+          a11yController: this.#combobox,
+        });
+        break;
+      default: {
+        this.#combobox = undefined;
+        const a11yController = RovingTabindexController.of<PfOption>(this, {
+          getHTMLElement,
+          getItems: () => this.options,
+        });
+        this.#setA11yController(a11yController);
         this.#listbox = ListboxController.of<PfOption>(this, {
           multi: this.variant === 'checkbox',
           getHTMLElement,
-          isSelected: option => option.selected,
-          requestSelect: (option, selected) => {
-            this.#lastSelected = this.selected;
-            option.selected = !option.disabled && !!selected;
-            this.#selectedChanged();
-            return true;
-          },
-          a11yController: RovingTabindexController.of(this, {
-            getHTMLElement,
-            getItems: () => this.options,
-          }),
+          isSelected,
+          requestSelect,
+          getItemText,
+          getGroups,
+          getGroupLabel,
+          getGroupLabelElement,
+          a11yController,
         });
         break;
+      }
+    }
+  }
+
+  /**
+   * Attaches the variant's keyboard accessibility controller,
+   * and detaches the previous variant's, so that only one of them handles keyboard events
+   * @param controller roving tabindex for single and checkbox selects, or active descendant
+   *                   for typeahead selects
+   */
+  #setA11yController(
+    controller: RovingTabindexController<PfOption> | ActiveDescendantController<PfOption>,
+  ) {
+    const old = this.#a11yController;
+    if (old !== controller) {
+      if (old) {
+        this.removeController(old);
+        old.hostDisconnected();
+      }
+      this.addController(controller);
+      this.#a11yController = controller;
+    }
+  }
+
+  /**
+   * Hides options which don't match the filter
+   * @param filterChanged whether the filter text (rather than the predicate) changed
+   */
+  #filterChanged(filterChanged: boolean) {
+    if (!this.#isTypeahead) {
+      return;
+    } else if (this.dataSource) {
+      // the data source does the filtering
+      if (filterChanged) {
+        this.#debouncedLoad();
+      }
+    } else {
+      const filter = this.filter.toLowerCase();
+      const matches = this.customFilter
+        ?? ((option: PfOption) =>
+          (option.optionText || option.value).toLowerCase().startsWith(filter));
+      for (const option of this.options) {
+        option.hidden = !!this.filter && !matches(option);
+      }
+      this.#combobox?.updateItems(this.options);
+    }
+    if (filterChanged) {
+      this.dispatchEvent(new PfSelectFilterEvent(this.filter));
+    }
+  }
+
+  /**
+   * Removes options from the previous data source, keeping selected ones
+   */
+  #dataSourceChanged() {
+    clearTimeout(this.#loadTimer);
+    this.#abortController?.abort();
+    this.#loaded = false;
+    this.#hasMore = false;
+    this.#page = 0;
+    for (const [id, option] of this.#remoteOptions) {
+      if (!option.selected) {
+        option.remove();
+        this.#remoteOptions.delete(id);
+      }
+    }
+    if (this.dataSource && this.expanded) {
+      this.#loadOptions();
+    }
+  }
+
+  /**
+   * Loads the first page of options once the user stops typing for `debounceDelay` milliseconds
+   */
+  #debouncedLoad() {
+    clearTimeout(this.#loadTimer);
+    this.#loadTimer = setTimeout(() => this.#loadOptions(), this.debounceDelay);
+  }
+
+  /**
+   * Requests a page of options from the data source.
+   * Supersedes any request in flight.
+   * @param more whether to load the next page, instead of the first page for the current query
+   */
+  async #loadOptions(more = false) {
+    if (!this.dataSource) {
+      return;
+    }
+    this.#abortController?.abort();
+    const abortController = this.#abortController = new AbortController();
+    const query = this.#isTypeahead ? this.filter : '';
+    const page = more ? this.#page + 1 : 0;
+    this.loading = true;
+    try {
+      const result = await this.dataSource(query, page, abortController.signal);
+      if (!abortController.signal.aborted) {
+        this.#page = page;
+        this.#hasMore = !!result.hasMore;
+        this.#loaded = true;
+        this.#renderRemoteOptions(result.options, more);
+      }
+    } catch (error) {
+      if (!abortController.signal.aborted) {
+        this.#logger.error('Could not load options', error);
+      }
+    } finally {
+      if (this.#abortController === abortController) {
+        this.loading = false;
+        this.#abortController = undefined;
+      }
+    }
+    if (!abortController.signal.aborted) {
+      await this.updateComplete;
+      this.#loadMoreIfNeeded();
+    }
+  }
+
+  /**
+   * Creates or updates light DOM options for a page of results.
+   * Options from previous queries are removed, except for selected ones,
+   * which are hidden instead, so they remain part of the form value.
+   * @param results options from the data source
+   * @param more whether the results are a subsequent page of the current query
+   */
+  #renderRemoteOptions(results: PfSelectUserOptions[], more: boolean) {
+    const ids = new Set(results.map(x => x.id));
+    if (!more) {
+      for (const [id, option] of this.#remoteOptions) {
+        if (ids.has(id)) {
+          continue;
+        } else if (option.selected) {
+          option.hidden = true;
+        } else {
+          option.remove();
+          this.#remoteOptions.delete(id);
+        }
+      }
     }
+    for (const result of results) {
+      let option = this.#remoteOptions.get(result.id);
+      if (!option) {
+        option = document.createElement('pf-option');
+        this.#remoteOptions.set(result.id, option);
+      }
+      option.value = result.value;
+      option.textContent = result.label ?? result.value;
+      option.description = result.description ?? '';
+      option.disabled = !!result.disabled;
+      option.hidden = false;
+      this.append(option);
+    }
+    this.#combobox?.updateItems(this.options);
+    this.requestUpdate();
+  }
+
+  /**
+   * Loads the next page when the user has scrolled near the end of the listbox,
+   * or when the listbox isn't full yet
+   */
+  #loadMoreIfNeeded() {
+    const container = this.shadowRoot?.getElementById('listbox-container');
+    if (container
+        && this.expanded
+        && this.#hasMore
+        && !this.loading
+        && container.scrollTop + container.clientHeight
+          >= container.scrollHeight - LOAD_MORE_THRESHOLD) {
+      this.#loadOptions(true);
+    }
+  }
+
+  #onListboxContainerScroll() {
+    this.#loadMoreIfNeeded();
   }
 
   async #expandedChanged() {
     const will = this.expanded ? 'close' : 'open';
     this.dispatchEvent(new Event(will));
+    if (this.expanded && this.dataSource && !this.#loaded && !this.loading) {
+      this.#loadOptions();
+    }
     if (this.expanded) {
       await this.#float.show({ placement: this.position || 'bottom', flip: !!this.enableFlip });
-      const focusableItem = this.#listbox?.activeItem ?? this.#listbox?.nextItem;
-      focusableItem?.focus();
-    } else if (this.#lastSelected === this.selected) {
+      if (this.#isTypeahead) {
+        // focus stays on the input, with the active option as its active descendant
+        this._input?.focus();
+      } else {
+        const focusableItem = this.#listbox?.activeItem ?? this.#listbox?.nextItem;
+        focusableItem?.focus();
+      }
+    } else {
+      const selectionChanged = this.#lastSelected !== this.selected;
       await this.#float.hide();
-      this._toggle?.focus();
+      if (selectionChanged) {
+        return;
+      } else if (this.#isTypeahead) {
+        this.#combobox?.setActiveItem(undefined);
+      } else {
+        this._toggle?.focus();
+      }
     }
   }
 
   async #selectedChanged() {
     await this.updateComplete;
+    this.#touched = true;
     this.value = [this.selected]
         .flat()
         .filter(x => !!x)
@@ -387,6 +768,22 @@ export class PfSelect extends LitElement {
       case 'single':
         this.hide();
         this._toggle?.focus();
+        break;
+      case 'typeahead':
+        if (this._input) {
+          this._input.value = [this.selected].flat().at(0)?.optionText ?? '';
+        }
+        this.filter = '';
+        this.hide();
+        this._input?.focus();
+        break;
+      case 'typeaheadmulti':
+        if (this._input) {
+          this._input.value = '';
+        }
+        this.filter = '';
+        this._input?.focus();
+        break;
     }
   }
 
@@ -427,6 +824,10 @@ export class PfSelect extends LitElement {
 
   #onListboxSlotchange() {
     this.#listbox?.setOptions(this.options);
+    this.#defaultValues ??= this.#listbox?.selectedOptions.map(x => x.value);
+    this.#updateFormValue();
+    this.#updateValidity();
+    this.#filterChanged(false);
     this.options.forEach((option, index, options) => {
       option.setSize = options.length;
       option.posInSet = index;
@@ -435,25 +836,74 @@ export class PfSelect extends LitElement {
 
   /**
    * handles chip's remove button clicking
-   * @param opt chip text to be removed from values
+   * @param opt option to be removed from values
+   * @param event chip remove event
    */
-  #onChipRemove(opt: PfOption, event: PfChipRemoveEvent) {
-  //   if (event.chip) {
-  //     opt.selected = false;
-  //     this._input?.focus();
-  //   }
+  async #onChipRemove(opt: PfOption, event: PfChipRemoveEvent) {
+    if (event.chip) {
+      this.#lastSelected = this.selected;
+      opt.selected = false;
+      this.#selectedChanged();
+      // the chip group focuses one of its remaining chips once it updates,
+      // so wait for it to settle before returning focus to the input
+      await this.updateComplete;
+      await new Promise(requestAnimationFrame);
+      this._input?.focus();
+    }
   }
 
   /**
    * handles typeahead combobox input event
    */
   #onTypeaheadInput() {
-    // update filter
-    // if (this.filter !== this._input?.value) {
-    //   this.filter = this._input?.value || '';
-    //   this.show();
-    // }
-    // TODO: handle hiding && aria hiding options
+    if (this.filter !== this._input?.value) {
+      this.filter = this._input?.value || '';
+      this.show();
+    }
+  }
+
+  /**
+   * handles keyboard interactions on the typeahead combobox input.
+   * arrow keys move the active descendant, see `ActiveDescendantController`.
+   * Enter selects the active option, see `ListboxController`.
+   */
+  #onTypeaheadKeydown(event: KeyboardEvent) {
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        if (!this.expanded) {
+          this.show();
+        }
+        break;
+      case 'Escape':
+        if (this.expanded) {
+          this.hide();
+        } else if (this._input) {
+          this._input.value = '';
+          this.filter = '';
+        }
+        break;
+      case 'Backspace':
+        // removes the last chip when the input is empty
+        if (this.variant === 'typeaheadmulti' && !this._input?.value) {
+          const last = this.#listbox?.selectedOptions.at(-1);
+          if (last) {
+            this.#lastSelected = this.selected;
+            last.selected = false;
+            this.#selectedChanged();
+          }
+        }
+        break;
+    }
+  }
+
+  #onTypeaheadFocusout(event: FocusEvent) {
+    const { relatedTarget } = event;
+    if (this.expanded
+        && !(relatedTarget instanceof Node
+             && (this.contains(relatedTarget) || this.shadowRoot?.contains(relatedTarget)))) {
+      this.hide();
+    }
   }
 
   #computePlaceholderText() {
@@ -467,6 +917,113 @@ export class PfSelect extends LitElement {
       || '';
   }
 
+  /**
+   * Submits the selected options' values.
+   * Multiple selections are submitted as one form entry per option,
+   * like `<select multiple>`
+   */
+  #updateFormValue() {
+    const values = this.#listbox?.selectedOptions.map(x => x.value) ?? [];
+    const state = new FormData();
+    for (const value of values) {
+      state.append('selected', value);
+    }
+    if (this.variant === 'checkbox' || this.variant === 'typeaheadmulti') {
+      const value = new FormData();
+      if (this.name) {
+        for (const selected of values) {
+          value.append(this.name, selected);
+        }
+      }
+      this.#internals.setFormValue(value, state);
+    } else {
+      this.#internals.setFormValue(values.at(0) ?? null, state);
+    }
+  }
+
+  #updateValidity() {
+    const anchor = this._input ?? this._toggle ?? undefined;
+    const valueMissing = this.required && !this.#listbox?.selectedOptions.length;
+    if (this.#customValidityMessage) {
+      this.#internals.setValidity({ customError: true }, this.#customValidityMessage, anchor);
+    } else if (valueMissing) {
+      const message = this.errorText || getValueMissingMessage();
+      this.#internals.setValidity({ valueMissing }, message, anchor);
+    } else {
+      this.#internals.setValidity({});
+    }
+  }
+
+  /**
+   * Selects the options with the given values, without moving focus
+   * @param values option values to select
+   */
+  #setSelectedValues(values: string[]) {
+    const multi = this.variant === 'checkbox' || this.variant === 'typeaheadmulti';
+    const [first] = values;
+    for (const option of this.options) {
+      option.selected = multi ? values.includes(option.value) : option.value === first;
+    }
+    this.value = values.join();
+    if (this._input && this.variant === 'typeahead') {
+      this._input.value = [this.selected].flat().at(0)?.optionText ?? '';
+    }
+    this.#updateFormValue();
+    this.#updateValidity();
+  }
+
+  /** shows the validation message when e.g. the form fails to submit */
+  #onInvalid() {
+    this.#touched = true;
+    this.requestUpdate();
+  }
+
+  formResetCallback() {
+    this.#touched = false;
+    this.#customValidityMessage = '';
+    this.#setSelectedValues(this.#defaultValues ?? []);
+    this.requestUpdate();
+  }
+
+  async formStateRestoreCallback(state: string | FormData | null) {
+    await this.updateComplete;
+    if (state instanceof FormData) {
+      this.#setSelectedValues(state.getAll('selected').map(String));
+    } else if (typeof state === 'string') {
+      // autofill provides the value
+      this.#setSelectedValues([state]);
+    }
+  }
+
+  async formDisabledCallback() {
+    await this.updateComplete;
+    this.requestUpdate();
+  }
+
+  /**
+   * Sets a custom validation message. Pass an empty string to clear it.
+   * @param message validation message
+   */
+  setCustomValidity(message: string) {
+    this.#customValidityMessage = message;
+    this.#updateValidity();
+    this.requestUpdate();
+  }
+
+  /** Checks the select's validity, firing an `invalid` event if it is invalid */
+  checkValidity() {
+    this.#updateValidity();
+    return this.#internals.checkValidity();
+  }
+
+  /** Checks the select's validity, and reports the validation message to the user */
+  reportValidity() {
+    this.#updateValidity();
+    this.#touched = true;
+    this.requestUpdate();
+    return this.#internals.reportValidity();
+  }
+
   /**
    * Opens the dropdown
    */
@@ -0,0 +1,37 @@
+import { createContextWithRoot } from '@patternfly/pfe-core/functions/context.js';
+
+export interface PfTableContext {
+  /** whether, and how many, rows can be selected */
+  selectable?: 'single' | 'multi';
+  /** how many of the table's rows are selected, for the header row's select-all checkbox */
+  selection: 'none' | 'some' | 'all';
+  /** whether the table is an interactive `grid`, so its cells are `gridcell`s */
+  grid?: boolean;
+  /** whether the table is a `treegrid`, whose rows can have child rows */
+  tree?: boolean;
+}
+
+/**
+ * A column's position, width, and visibility, as the user arranged it.
+ * The table's `columnState` is a list of these, in display order.
+ */
+export interface PfTableColumnState {
+  /** the column header's `key` */
+  key: string;
+  /** the column's width in pixels, when it has one */
+  width?: number;
+  /** whether the column is hidden */
+  hidden?: boolean;
+}
+
+export class PfTableColumnChangeEvent extends Event {
+  constructor(
+    /** the columns, in display order, with their widths and visibility */
+    public columnState: PfTableColumnState[],
+  ) {
+    super('column-change', { bubbles: true });
+  }
+}
+
+export const context =
+  createContextWithRoot<PfTableContext>(Symbol('pf-table-context'));
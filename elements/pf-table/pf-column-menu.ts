@@ -0,0 +1,126 @@
+import { LitElement, html, type PropertyValues } from 'lit';
+import { customElement } from 'lit/decorators/custom-element.js';
+import { property } from 'lit/decorators/property.js';
+
+import type { PfDropdownSelectEvent } from '@patternfly/elements/pf-dropdown/pf-dropdown.js';
+import type { PfTable } from './pf-table.js';
+import { PfTableColumnChangeEvent } from './context.js';
+
+import '@patternfly/elements/pf-button/pf-button.js';
+import '@patternfly/elements/pf-dropdown/pf-dropdown.js';
+
+import styles from './pf-column-menu.css';
+
+/**
+ * A **column menu** lets users show and hide the columns of a `pf-table`.
+ * When the user shows or hides a column, the table fires `column-change`.
+ * @summary Shows and hides the columns of a table
+ */
+@customElement('pf-column-menu')
+export class PfColumnMenu extends LitElement {
+  static readonly styles = [styles];
+
+  /** ID of a `pf-table` in the same root, whose columns the menu shows and hides */
+  @property() for?: string;
+
+  /** Accessible label for the menu's toggle button */
+  @property({ attribute: 'accessible-label' }) accessibleLabel = 'Manage columns';
+
+  #table: PfTable | null = null;
+
+  get #rootNode(): Document | ShadowRoot {
+    const root = this.getRootNode();
+    if (root instanceof Document || root instanceof ShadowRoot) {
+      return root;
+    } else {
+      return document;
+    }
+  }
+
+  override disconnectedCallback(): void {
+    super.disconnectedCallback();
+    this.#table?.removeEventListener('column-change', this.#onColumnChange);
+    this.#table = null;
+  }
+
+  override updated(changed: PropertyValues<this>): void {
+    if (changed.has('for')) {
+      this.#bindTable();
+    }
+  }
+
+  render() {
+    const table = this.#table;
+    const columns = table?.columnState ?? [];
+    const headers = Array.from(table?.querySelectorAll('pf-th') ?? []);
+    const visible = columns.filter(column => !column.hidden);
+    return html`
+      <pf-dropdown @select="${this.#onSelect}" @focusin="${() => this.requestUpdate()}">
+        <pf-button slot="toggle"
+                   plain
+                   icon="columns"
+                   label="${this.accessibleLabel}"></pf-button>
+        <pf-dropdown-menu slot="menu">${columns.map(({ key, hidden }) => html`
+          <pf-dropdown-item value="${key}"
+                            ?disabled="${!hidden && visible.length === 1}">
+            ${hidden ? 'Show' : 'Hide'}
+            ${headers.find(header => header.key === key)?.textContent?.trim() ?? key}
+          </pf-dropdown-item>`)}
+        </pf-dropdown-menu>
+      </pf-dropdown>
+    `;
+  }
+
+  /** Finds the table with the `for` ID, and renders its columns */
+  async #bindTable() {
+    this.#table?.removeEventListener('column-change', this.#onColumnChange);
+    this.#table = null;
+    if (!this.for) {
+      return;
+    }
+    const element = this.#rootNode.getElementById(this.for);
+    if (!element && document.readyState === 'loading') {
+      // the table may come after the menu in the document
+      document.addEventListener('DOMContentLoaded', () => this.#bindTable(), { once: true });
+      return;
+    }
+    if (element?.localName !== 'pf-table') {
+      return;
+    }
+    await customElements.whenDefined('pf-table');
+    const table = element as PfTable;
+    this.#table = table;
+    table.addEventListener('column-change', this.#onColumnChange);
+    await table.updateComplete;
+    this.requestUpdate();
+  }
+
+  #onColumnChange = (event: Event) => {
+    // ignore nested tables
+    if (event.target === this.#table) {
+      this.requestUpdate();
+    }
+  };
+
+  #onSelect(event: PfDropdownSelectEvent) {
+    const table = this.#table;
+    const columnState = table?.columnState ?? [];
+    const column = columnState.find(column => column.key === event.value);
+    if (!table || !column) {
+      return;
+    }
+    // keep at least one column
+    if (!column.hidden && columnState.filter(column => !column.hidden).length === 1) {
+      return;
+    }
+    column.hidden = !column.hidden;
+    table.columnState = columnState;
+    table.dispatchEvent(new PfTableColumnChangeEvent(table.columnState));
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'pf-column-menu': PfColumnMenu;
+  }
+}
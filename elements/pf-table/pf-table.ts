@@ -1,10 +1,29 @@
-import { LitElement, html } from 'lit';
+import { LitElement, html, render, type PropertyValues } from 'lit';
 import { customElement } from 'lit/decorators/custom-element.js';
+import { property } from 'lit/decorators/property.js';
 import { styleMap } from 'lit/directives/style-map.js';
+import { repeat } from 'lit/directives/repeat.js';
+import { ifDefined } from 'lit/directives/if-defined.js';
 import { state } from 'lit/decorators/state.js';
+import { provide } from '@lit/context';
 
-import { PfTh, RequestSortEvent } from './pf-th.js';
-import { PfTr, RequestExpandEvent } from './pf-tr.js';
+import { GridNavigationController } from '@patternfly/pfe-core/controllers/grid-navigation-controller.js';
+
+import {
+  PfTh,
+  RequestResizeEvent,
+  RequestSortEvent,
+  type PfTableSort,
+  type PfThComparator,
+  type PfThSortType,
+} from './pf-th.js';
+import { PfTr, RequestExpandEvent, RequestSelectEvent, type PfTrTreeItem } from './pf-tr.js';
+import {
+  context,
+  PfTableColumnChangeEvent,
+  type PfTableContext,
+  type PfTableColumnState,
+} from './context.js';
 
 export * from './pf-caption.js';
 export * from './pf-thead.js';
@@ -12,9 +31,134 @@ export * from './pf-tbody.js';
 export * from './pf-tr.js';
 export * from './pf-th.js';
 export * from './pf-td.js';
+export { PfTableColumnChangeEvent, type PfTableColumnState } from './context.js';
 
 import styles from './pf-table.css';
-import { PfTd } from './pf-td.js';
+import { PfTd, RequestEditEvent } from './pf-td.js';
+import { PfTbody } from './pf-tbody.js';
+import { PfThead } from './pf-thead.js';
+
+export class PfTableFilterEvent extends Event {
+  constructor(
+    /** the table's filter text */
+    public filter: string,
+    /** how many rows match the filter text and the column filters, on all pages */
+    public count: number,
+  ) {
+    super('filter', { bubbles: true });
+  }
+}
+
+export class PfTableSelectEvent extends Event {
+  constructor(
+    /** the table's selected rows */
+    public selectedRows: PfTr[],
+  ) {
+    super('select', { bubbles: true });
+  }
+}
+
+export class PfTableCellEditEvent extends Event {
+  #revert: () => void;
+
+  constructor(
+    /** the edited cell */
+    public cell: PfTd,
+    /** the edited cell's row */
+    public row: PfTr,
+    /** the column header's `key` */
+    public key: string,
+    /**
+     * the cell's text before the edit,
+     * or for tables which render their rows from `data`, the row object's value
+     */
+    public oldValue: unknown,
+    /** the value the user entered */
+    public newValue: unknown,
+    /** for tables which render their rows from `data`, the row object */
+    public data: object | undefined,
+    revert: () => void,
+  ) {
+    super('cell-edit', { bubbles: true, cancelable: true });
+    this.#revert = revert;
+  }
+
+  /** Restores the cell's old value, e.g. when saving the new value failed */
+  revert() {
+    this.#revert();
+  }
+}
+
+/**
+ * Column definition, for tables which render their rows from `data`
+ */
+export interface PfTableColumn<Row extends object = Record<string, any>> {
+  /** Property of each row object which holds this column's value */
+  key: string;
+  /** Column header text */
+  label: string;
+  /** Whether the user can sort the table by this column */
+  sortable?: boolean;
+  /** How to compare this column's values when sorting. By default, numbers and dates sort as such */
+  sortType?: PfThSortType;
+  /** Custom sort order for this column's values. Overrides `sortType` */
+  comparator?: PfThComparator;
+  /** Formats the cell's value as text. Sorting uses the unformatted value */
+  formatter?(value: unknown, row: Row): string;
+  /** Renders the cell's content, e.g. as a link. Overrides `formatter` */
+  renderer?(value: unknown, row: Row, column: PfTableColumn<Row>): unknown;
+  /** Whether the user can resize this column */
+  resizable?: boolean;
+  /** Whether the user can move this column */
+  reorderable?: boolean;
+  /** The column's initial width, in pixels */
+  width?: number;
+  /** Whether the user can edit this column's values */
+  editable?: boolean;
+  /** The type of text field to edit this column's values with, e.g. `number` */
+  editType?: PfTd['editType'];
+  /** Choices for this column's values. Edits the values with a select */
+  editOptions?: string[];
+}
+
+/**
+ * Decides whether to show a row, according to its value in a column
+ * @param value the cell's value, as used for sorting
+ * @param row the row object, or for hand-written rows, the row element
+ */
+export type PfTableColumnFilter = (value: unknown, row: object) => boolean;
+
+function getValue(row: object, key: string): unknown {
+  return (row as Record<string, unknown>)[key];
+}
+
+/** the first number in the value, ignoring thousands separators, e.g. `1234` in `$1,234` */
+function toNumber(value: unknown): number {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const [match] = String(value ?? '').match(/-?(?:\d[\d,]*(?:\.\d+)?|\.\d+)/) ?? [];
+  return match ? parseFloat(match.replaceAll(',', '')) : NaN;
+}
+
+function toTime(value: unknown): number {
+  return value instanceof Date ? value.getTime()
+    : typeof value === 'number' ? value
+    : Date.parse(String(value ?? ''));
+}
+
+/** compares numbers, keeping invalid values last */
+function compareNumbers(a: number, b: number) {
+  return Number.isNaN(a) ? (Number.isNaN(b) ? 0 : 1)
+    : Number.isNaN(b) ? -1
+    : a - b;
+}
+
+/** extra rows to render above and below the visible rows of a `virtual` table */
+const OVERSCAN = 5;
+
+/** estimated height of a virtual table's rows, until they are measured */
+const DEFAULT_ROW_HEIGHT = 72;
 
 const rowQuery = [
   ':scope > pf-tbody:not([expandable]) > pf-tr',
@@ -25,6 +169,14 @@ const rowQuery = [
 
 /**
  * A **table** is used to display large data sets that can be easily laid out in a simple grid with column headers.
+ * @fires {PfTableSelectEvent} select - when the user selects or deselects rows
+ * @fires {PfTableFilterEvent} filter - when the rows are filtered, or the number of matching rows changes
+ * @fires {PfTableColumnChangeEvent} column-change - when the user resizes, moves, hides, or shows a column
+ * @fires {PfTableCellEditEvent} cell-edit - when the user edits a cell.
+ *                                           Cancel the event to keep the cell's old value.
+ * @cssprop {<length>} --pf-c-table--m-virtual--MaxHeight
+ *          Height of a `virtual` table, which scrolls its rows
+ *          {@default `30rem`}
  * @slot
  *       The default slot can hold an optional `pf-caption` element and a combination of `pf-tr`, `pf-thead`, or `pf-tbody` elements.
  * @cssprop {<color>} --pf-c-table--BackgroundColor
@@ -665,38 +817,455 @@ const rowQuery = [
 export class PfTable extends LitElement {
   static readonly styles = [styles];
 
-  get rows() {
-    return this.querySelectorAll<PfTr>(rowQuery);
+  /** The body rows, in document order, including the child rows nested in `tree` tables' rows */
+  get rows(): PfTr[] {
+    const withChildRows = (row: PfTr): PfTr[] => [
+      row,
+      ...Array.from(row.children)
+          .filter((child): child is PfTr => child instanceof PfTr)
+          .flatMap(withChildRows),
+    ];
+    return Array.from(this.querySelectorAll<PfTr>(rowQuery), withChildRows).flat();
+  }
+
+  /**
+   * Column definitions. When set along with `data`, the table renders
+   * its own header and rows, instead of using its child elements.
+   */
+  @property({ attribute: false }) columns?: PfTableColumn<any>[];
+
+  /** Row objects, for tables which render their rows from `columns` definitions */
+  @property({ attribute: false }) data?: object[];
+
+  /**
+   * Property of each row object which uniquely identifies it, e.g. `id`.
+   * Keeps each row's elements in place when the data changes. Defaults to the row's index
+   */
+  @property({ attribute: 'row-key' }) rowKey?: string;
+
+  /**
+   * Lets the user select rows with a radio button (`single`),
+   * or with checkboxes, including a select-all checkbox in the `pf-thead` (`multi`)
+   */
+  @property({ reflect: true }) selectable?: 'single' | 'multi';
+
+  /** Text to search for in all columns, ignoring case. Rows which don't contain it are hidden */
+  @property() filter = '';
+
+  /**
+   * Predicates which decide whether to show each row, by column key.
+   * Rows are only shown when they pass every predicate.
+   */
+  @property({ attribute: false }) columnFilters?: Record<string, PfTableColumnFilter>;
+
+  /** Number of rows per page. When set, the table only shows the rows on the current `page` */
+  @property({ type: Number, attribute: 'per-page' }) perPage?: number;
+
+  /** The page of rows to show, starting from 1, when `per-page` is set */
+  @property({ type: Number }) page = 1;
+
+  /**
+   * Renders only the rows which are scrolled into view, for tables with many rows.
+   * Requires `columns` and `data`, and rows of equal height.
+   * The table scrolls, and its header sticks to the top.
+   */
+  @property({ type: Boolean, reflect: true }) virtual = false;
+
+  /**
+   * Makes the table an interactive `grid`, in which the arrow keys move focus between cells.
+   * Use it for tables whose cells contain buttons, links, or form fields.
+   */
+  @property({ type: Boolean, reflect: true }) grid = false;
+
+  /**
+   * Makes the table a `treegrid`, whose rows can have child rows, which the user
+   * expands and collapses. Rows nest inside of their parent rows, or name their
+   * parent row's `key` in their `parent-key` attribute. Tree tables are also `grid`s.
+   */
+  @property({ type: Boolean, reflect: true }) tree = false;
+
+  /**
+   * For `tree` tables which render their rows from `data`: property of each row object
+   * which holds its parent row's `row-key` value
+   */
+  @property({ attribute: 'parent-key' }) parentKey?: string;
+
+  @state() private columnCount = 0;
+
+  @state() private status = '';
+
+  @provide({ context }) private ctx: PfTableContext = { selection: 'none' };
+
+  #matchCount = 0;
+
+  #lastMatchCount?: number;
+
+  /** whether some hand-written rows are hidden by the filters or the page */
+  #hidRows = false;
+
+  /** anchor for selecting a range of rows */
+  #lastSelectedRow?: PfTr;
+
+  #hasRenderedData = false;
+
+  /** the `data`, in sort order */
+  #sortedData: object[] = [];
+
+  /** the `data` which match the filters and are on the current page, in sort order */
+  #shownData: object[] = [];
+
+  #rowHeight = DEFAULT_ROW_HEIGHT;
+
+  #scrollFrame = 0;
+
+  #ro = new ResizeObserver(() => this.virtual && this.#renderRows());
+
+  #sorts: PfTableSort[] = [];
+
+  /** for tables which render their rows from `data`: the column keys, in display order */
+  #columnOrder?: string[];
+
+  /** for tables which render their rows from `data`: the keys of the hidden columns */
+  #hiddenColumns = new Set<string>();
+
+  /** for tables which render their rows from `data`: the widths of the resized columns */
+  #columnWidths = new Map<string, number>();
+
+  /** column state which was set before the table had any columns */
+  #pendingColumnState?: PfTableColumnState[];
+
+  /** key of the column which the user is dragging */
+  #draggedColumn?: string;
+
+  /** for tables which render their rows from `data`: the row object of each row element */
+  #rowData = new WeakMap<Element, object>();
+
+  /** for `tree` tables which render their rows from `data`: the expanded row objects */
+  #expandedData = new WeakSet<object>();
+
+  /** for `tree` tables which render their rows from `data`: each row object's position */
+  #treeItems = new Map<object, PfTrTreeItem>();
+
+  #grid = new GridNavigationController<HTMLElement>(this, {
+    getRows: () => !this.grid && !this.tree ? [] : [
+      ...this.querySelectorAll<PfTr>(':scope > pf-thead > pf-tr'),
+      ...this.rows,
+    ].filter(row => !row.hidden).map(row => [...row.controlCells, ...PfTable.getCells(row)]),
+  });
+
+  /** The columns the table is sorted by, in order of priority */
+  get sorts(): PfTableSort[] {
+    return this.#sorts.map(sort => ({ ...sort }));
+  }
+
+  get #isFiltered() {
+    return !!this.filter || !!this.columnFilters;
   }
 
-  @state() private columns = 0;
+  /** How many rows match the filters, on all pages */
+  get matchCount(): number {
+    return this.#matchCount;
+  }
+
+  /** The selected rows, in document order */
+  get selectedRows(): PfTr[] {
+    return this.rows.filter(row => row.selected);
+  }
+
+  set selectedRows(rows: PfTr[]) {
+    for (const row of this.rows) {
+      row.selected = rows.includes(row);
+    }
+    this.#updateSelection();
+  }
+
+  /**
+   * The columns, in display order, with their widths, and whether they are hidden.
+   * Save it when the table fires `column-change`, and set it to restore the user's layout.
+   */
+  get columnState(): PfTableColumnState[] {
+    return this.#headers.map(({ key, width, hidden }) => ({
+      key,
+      ...width ? { width } : {},
+      ...hidden ? { hidden } : {},
+    }));
+  }
+
+  set columnState(state: PfTableColumnState[]) {
+    if (!this.#headers.length) {
+      this.#pendingColumnState = state;
+      return;
+    }
+    this.#pendingColumnState = undefined;
+    for (const { key, width } of state) {
+      this.#setColumnWidth(key, width);
+    }
+    this.#arrangeColumns(
+      state.map(column => column.key),
+      new Set(state.filter(column => column.hidden).map(column => column.key)),
+    );
+  }
+
+  /** header cells in the first header row */
+  get #headers(): PfTh[] {
+    const row = this.querySelector(':scope > pf-thead > pf-tr, :scope > pf-tr');
+    return !row ? [] : PfTable.getCells(row).filter(cell => cell instanceof PfTh) as PfTh[];
+  }
+
+  constructor() {
+    super();
+    this.addEventListener('scroll', this.#onScroll, { passive: true });
+  }
 
   override connectedCallback() {
     super.connectedCallback();
-    this.setAttribute('role', 'table');
+    this.#updateRole();
+    this.#ro.observe(this);
     this.#onSlotchange();
   }
 
+  override disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#ro.disconnect();
+    cancelAnimationFrame(this.#scrollFrame);
+  }
+
   render() {
     const hasExpandableRow = !!this.querySelector('pf-tr[expandable]');
     const coeffRows = hasExpandableRow ? '1' : '0';
+    const widths = this.#headers
+        .filter(header => !header.hidden)
+        .map(header => header.width ? `${header.width}px` : '1fr');
     return html`
       <slot @slotchange="${this.#onSlotchange}"
             @request-expand="${this.#onRequestExpand}"
             @request-sort="${this.#onRequestSort}"
+            @request-select="${this.#onRequestSelect}"
+            @request-resize="${this.#onRequestResize}"
+            @request-edit="${this.#onRequestEdit}"
+            @keydown="${this.#onKeydown}"
+            @dragstart="${this.#onDragstart}"
+            @dragover="${this.#onDragover}"
+            @drop="${this.#onDrop}"
+            @dragend="${this.#onDragend}"
             style="${styleMap({
               '--_pf-table--expandable-rows': coeffRows,
-              '--_pf-table--number-of-columns': this.columns,
+              '--_pf-table--selectable-rows': this.selectable ? '1' : '0',
+              '--_pf-table--number-of-columns': this.columnCount,
+              '--_pf-table--grid-template-columns':
+                widths.some(width => width !== '1fr') ? widths.join(' ') : undefined,
             })}"
       ></slot>
+      <div id="status" role="status" class="visually-hidden">${this.status}</div>
     `;
   }
 
+  override willUpdate(changed: PropertyValues<this>) {
+    if (changed.has('grid') || changed.has('tree')) {
+      this.#updateRole();
+    }
+    if (changed.has('selectable') || changed.has('grid') || changed.has('tree')) {
+      this.#updateSelection();
+    }
+  }
+
+  override updated(changed: PropertyValues<this>) {
+    const filtersChanged = changed.has('filter') || changed.has('columnFilters');
+    const dataChanged = changed.has('columns')
+      || changed.has('data')
+      || changed.has('rowKey')
+      || changed.has('parentKey');
+    if (dataChanged
+        || filtersChanged
+        || changed.has('tree')
+        || changed.has('page')
+        || changed.has('perPage')
+        || changed.has('virtual')) {
+      this.#renderData();
+      this.#filterRows(filtersChanged);
+    } else if (changed.has('grid') || changed.has('selectable')) {
+      this.#updateGrid();
+    }
+  }
+
+  #updateRole() {
+    this.setAttribute('role', this.tree ? 'treegrid' : this.grid ? 'grid' : 'table');
+  }
+
+  /**
+   * Sorts and filters the `data`, then renders the header and rows
+   * from `columns` and `data` into the light DOM, so that they work just like hand-written rows.
+   */
+  #renderData() {
+    const { columns, data } = this;
+    if (!columns || !data) {
+      // don't disturb hand-written rows
+      if (this.#hasRenderedData) {
+        render('', this, { host: this });
+        this.removeAttribute('aria-rowcount');
+        this.#hasRenderedData = false;
+      }
+      return;
+    }
+    this.#hasRenderedData = true;
+    const criteria = this.#sorts.flatMap(({ key, direction }) => {
+      const column = columns.find(column => column.key === key);
+      return !column ? [] : [{
+        direction,
+        compare: this.#getComparator(column.sortType, column.comparator),
+        getValue: (row: object) => getValue(row, key),
+      }];
+    });
+    this.#sortedData = !criteria.length ? data : [...data].sort(PfTable.compareBy(criteria));
+    const keys = columns.map(column => column.key);
+    const matches = (row: object) => this.#matchesFilters(
+      row,
+      keys,
+      key => PfTable.getText(row, columns.find(column => column.key === key)!),
+      key => getValue(row, key),
+    );
+    const { rowKey, parentKey } = this;
+    let matching: object[];
+    if (this.tree && rowKey && parentKey) {
+      const byKey = new Map(data.map(row => [getValue(row, rowKey), row]));
+      const tree = PfTable.arrangeTree(
+        this.#sortedData,
+        row => getValue(row, parentKey) == null ? undefined : byKey.get(getValue(row, parentKey)),
+        row => this.#expandedData.has(row),
+        matches,
+      );
+      this.#sortedData = tree.rows;
+      this.#treeItems = tree.items;
+      matching = tree.visible;
+    } else {
+      this.#treeItems = new Map();
+      matching = this.#sortedData.filter(matches);
+    }
+    this.#shownData = this.#getPage(matching);
+    this.#matchCount = matching.length;
+    this.#renderRows();
+  }
+
+  /**
+   * Renders the header and rows. Virtual tables only render the rows which are in view,
+   * and pad the `pf-tbody` to the full height of the rows.
+   */
+  #renderRows() {
+    const { virtual } = this;
+    const columns = this.#orderedColumns;
+    if (!columns || !this.#hasRenderedData) {
+      return;
+    }
+    const hidden = this.#hiddenColumns;
+    const sorts = this.#sorts;
+    const shown = new Set(this.#shownData);
+    const [start, end] = this.#getWindow();
+    const rows = !virtual ? this.#sortedData : this.#shownData.slice(start, end);
+    if (virtual) {
+      // the header row counts too
+      this.setAttribute('aria-rowcount', String(this.#shownData.length + 1));
+    } else {
+      this.removeAttribute('aria-rowcount');
+    }
+    render(html`
+      <pf-thead>
+        <pf-tr aria-rowindex="${ifDefined(virtual ? 1 : undefined)}">${columns.map(column => html`
+          <pf-th key="${column.key}"
+                 ?sortable="${column.sortable}"
+                 ?resizable="${column.resizable}"
+                 ?reorderable="${column.reorderable}"
+                 ?hidden="${hidden.has(column.key)}"
+                 sort-type="${ifDefined(column.sortType)}"
+                 .comparator="${column.comparator}"
+                 .width="${this.#columnWidths.get(column.key) ?? column.width}"
+                 .selected="${sorts.some(sort => sort.key === column.key)}"
+                 .sortDirection="${sorts.find(sort => sort.key === column.key)?.direction}"
+                 .sortPriority="${PfTable.getSortPriority(sorts, column.key)}">${column.label}</pf-th>`)}
+        </pf-tr>
+      </pf-thead>
+      <pf-tbody style="${styleMap(!virtual ? {} : {
+        paddingBlockStart: `${start * this.#rowHeight}px`,
+        paddingBlockEnd: `${(this.#shownData.length - end) * this.#rowHeight}px`,
+      })}">${repeat(rows, (row, i) => this.rowKey ? getValue(row, this.rowKey) : i + start, (row, i) => html`
+        <pf-tr ?hidden="${!shown.has(row)}"
+               .treeItem="${this.#treeItems.get(row)}"
+               .expanded="${this.#expandedData.has(row)}"
+               aria-rowindex="${ifDefined(virtual ? start + i + 2 : undefined)}">${columns.map(column => html`
+          <pf-td ?hidden="${hidden.has(column.key)}"
+                 ?editable="${column.editable}"
+                 edit-type="${ifDefined(column.editType)}"
+                 .editOptions="${column.editOptions}">${PfTable.renderCell(row, column)}</pf-td>`)}
+        </pf-tr>`)}
+      </pf-tbody>
+    `, this, { host: this });
+    const elements = this.querySelectorAll(':scope > pf-tbody > pf-tr');
+    rows.forEach((row, i) => elements[i] && this.#rowData.set(elements[i], row));
+    this.#updateSelection();
+    this.#updateGrid();
+    if (virtual) {
+      this.#measureRows(start, end);
+    }
+  }
+
+  /** The range of rows which a virtual table renders, given its scroll position */
+  #getWindow(): [start: number, end: number] {
+    const count = this.#shownData.length;
+    if (!this.virtual) {
+      return [0, count];
+    }
+    const head = this.querySelector<HTMLElement>(':scope > pf-thead');
+    const offset = Math.max(0, this.scrollTop - (head?.offsetHeight ?? 0));
+    const height = this.clientHeight || window.innerHeight;
+    const end = Math.min(count, Math.ceil((offset + height) / this.#rowHeight) + OVERSCAN);
+    // an offset from an estimated row height can overshoot the end of the rows,
+    // so render at least a screenful of rows
+    const visible = Math.ceil(height / this.#rowHeight) + OVERSCAN;
+    const start = Math.max(0, Math.min(
+      Math.floor(offset / this.#rowHeight) - OVERSCAN,
+      end - visible,
+    ));
+    return [start, end];
+  }
+
+  /**
+   * Measures the rendered rows, and renders again
+   * if the estimated row height or the table's height was off
+   * @param start the first rendered row
+   * @param end the row after the last rendered row
+   */
+  async #measureRows(start: number, end: number) {
+    const row = this.querySelector<PfTr>(':scope > pf-tbody > pf-tr');
+    // newly rendered rows are only as tall as their content once they and their cells update
+    await Promise.all([row, ...row?.querySelectorAll('pf-td') ?? []].map(x => x?.updateComplete));
+    if (!this.virtual || !row?.isConnected) {
+      return;
+    }
+    const { height } = row.getBoundingClientRect();
+    if (height && Math.abs(height - this.#rowHeight) > 1) {
+      this.#rowHeight = height;
+    }
+    const [newStart, newEnd] = this.#getWindow();
+    if (newStart !== start || newEnd !== end) {
+      this.#onScroll();
+    }
+  }
+
+  #onScroll = () => {
+    if (this.virtual && !this.#scrollFrame) {
+      this.#scrollFrame = requestAnimationFrame(() => {
+        this.#scrollFrame = 0;
+        this.#renderRows();
+      });
+    }
+  };
+
   #onRequestExpand(event: Event) {
     if (event instanceof RequestExpandEvent
         && !event.defaultPrevented) {
       event.stopPropagation();
-      if (event.target instanceof PfTr) {
+      if (event.target instanceof PfTr && !event.target.expandable && this.tree) {
+        this.#setRowExpanded(event.target, !event.target.expanded);
+      } else if (event.target instanceof PfTr) {
         event.target.expanded = !!event.target.expandable && !event.target.expanded;
       } else if (event.target instanceof PfTd && event.row) {
         event.row.expanded = event.compoundExpanded;
@@ -707,64 +1276,718 @@ export class PfTable extends LitElement {
     }
   }
 
+  /**
+   * Expands or collapses a row of a `tree` table, showing or hiding its child rows
+   * @param row the row
+   * @param expanded whether to expand the row
+   */
+  #setRowExpanded(row: PfTr, expanded: boolean) {
+    const data = this.#rowData.get(row);
+    if (data) {
+      if (expanded) {
+        this.#expandedData.add(data);
+      } else {
+        this.#expandedData.delete(data);
+      }
+      this.#renderData();
+    } else {
+      row.expanded = expanded;
+    }
+    this.#filterRows();
+  }
+
   #onSlotchange() {
-    this.columns = this.querySelector('pf-tr')?.querySelectorAll('pf-th')?.length ?? 0;
+    // sorting identifies columns by their keys
+    this.#headers.forEach((header, index) => header.key ??= String(index));
+    if (this.#pendingColumnState && this.#headers.length) {
+      this.columnState = this.#pendingColumnState;
+    }
+    this.columnCount = this.#headers.filter(header => !header.hidden).length;
+    this.#filterRows();
     this.requestUpdate();
   }
 
+  /** the `columns`, in the order the user arranged them */
+  get #orderedColumns() {
+    const order = this.#columnOrder;
+    const columns = this.columns ?? [];
+    const rank = (column: PfTableColumn) => {
+      const index = order?.indexOf(column.key) ?? -1;
+      // new columns go at the end
+      return index < 0 ? order?.length ?? 0 : index;
+    };
+    return !order ? this.columns : [...columns].sort((a, b) => rank(a) - rank(b));
+  }
+
+  #setColumnWidth(key: string, width?: number) {
+    if (width) {
+      this.#columnWidths.set(key, width);
+    } else {
+      this.#columnWidths.delete(key);
+    }
+    const header = this.#headers.find(header => header.key === key);
+    if (header) {
+      header.width = width;
+    }
+    this.requestUpdate();
+  }
+
+  /**
+   * Puts the columns in order, and hides or shows them.
+   * Hand-written rows move their cells, so each row must have one cell per column.
+   * @param order column keys, in display order. Columns which aren't listed keep their order,
+   *              after the listed columns
+   * @param hidden keys of the columns to hide
+   */
+  #arrangeColumns(order: string[], hidden: Set<string>) {
+    const keys = this.#headers.map(header => header.key);
+    const arranged = [
+      ...order.filter(key => keys.includes(key)),
+      ...keys.filter(key => !order.includes(key)),
+    ];
+    if (this.columns && this.data) {
+      this.#columnOrder = arranged;
+      this.#hiddenColumns = new Set(hidden);
+      this.#renderRows();
+    } else {
+      // moving an element blurs it, so focus it again
+      let focused = document.activeElement;
+      while (focused?.shadowRoot?.activeElement) {
+        focused = focused.shadowRoot.activeElement;
+      }
+      const from = arranged.map(key => keys.indexOf(key));
+      const rows = this.querySelectorAll<PfTr>([
+        ':scope > pf-thead > pf-tr',
+        ':scope > pf-tbody > pf-tr',
+        ':scope > pf-tr',
+      ].join());
+      for (const row of rows) {
+        const cells = PfTable.getCells(row);
+        if (cells.length !== keys.length) {
+          continue;
+        }
+        // mark each cell's current position, then fill the positions in column order
+        const markers = cells.map(cell => {
+          const marker = document.createComment('');
+          cell.before(marker);
+          return marker;
+        });
+        from.forEach((index, i) => {
+          const cell = cells[index];
+          markers[i].replaceWith(cell);
+          cell.hidden = hidden.has(arranged[i]);
+        });
+      }
+      if (focused instanceof HTMLElement && !focused.matches(':focus')) {
+        focused.focus();
+      }
+    }
+    this.columnCount = this.#headers.filter(header => !header.hidden).length;
+    this.requestUpdate();
+    this.#updateGrid();
+  }
+
+  /**
+   * Moves a column, announces its new position, and fires `column-change`
+   * @param header the column's header
+   * @param index the column's new index, among all the columns
+   */
+  #moveColumn(header: PfTh, index: number) {
+    const keys = this.#headers.map(header => header.key).filter(key => key !== header.key);
+    keys.splice(index, 0, header.key);
+    this.#arrangeColumns(keys, new Set(this.columnState.flatMap(column =>
+      column.hidden ? [column.key] : [])));
+    const visible = this.#headers.filter(header => !header.hidden);
+    const position = visible.indexOf(header) + 1;
+    const label = header.textContent?.trim() ?? header.key;
+    this.status = `Moved ${label} to column ${position} of ${visible.length}`;
+    this.dispatchEvent(new PfTableColumnChangeEvent(this.columnState));
+  }
+
+  /** the header in the event's path, if it's one of the table's column headers */
+  #getHeader(event: Event) {
+    const headers = this.#headers;
+    return event.composedPath()
+        .find((node): node is PfTh => node instanceof PfTh && headers.includes(node));
+  }
+
+  #onRequestResize(event: Event) {
+    if (event instanceof RequestResizeEvent && !event.defaultPrevented) {
+      this.#setColumnWidth(event.key, event.width);
+      if (event.done) {
+        this.dispatchEvent(new PfTableColumnChangeEvent(this.columnState));
+      }
+    }
+  }
+
+  #onRequestEdit(event: Event) {
+    const cell = event.target;
+    const row = cell instanceof PfTd ? cell.parentElement : null;
+    if (!(event instanceof RequestEditEvent)
+        || event.defaultPrevented
+        || !(cell instanceof PfTd)
+        || !(row instanceof PfTr)) {
+      return;
+    }
+    event.stopPropagation();
+    const index = PfTable.getCells(row).indexOf(cell);
+    const key = this.#headers[index]?.key ?? String(index);
+    const data = this.#rowData.get(row);
+    const oldValue = data ? getValue(data, key) : cell.textContent?.trim() ?? '';
+    // keep numbers as numbers
+    const newValue = typeof oldValue === 'number' ? parseFloat(event.value) : event.value;
+    const revert = () => this.#setCellValue(cell, key, oldValue, data);
+    const edit = new PfTableCellEditEvent(cell, row, key, oldValue, newValue, data, revert);
+    if (this.dispatchEvent(edit)) {
+      this.#setCellValue(cell, key, newValue, data);
+    }
+  }
+
+  /**
+   * Changes a cell's value. Tables which render their rows from `data` change the row object,
+   * and render the rows again.
+   * @param cell the cell
+   * @param key the cell's column key
+   * @param value the new value
+   * @param data the row object, if the table renders its rows from `data`
+   */
+  #setCellValue(cell: PfTd, key: string, value: unknown, data?: object) {
+    if (data) {
+      (data as Record<string, unknown>)[key] = value;
+      this.#renderData();
+    } else {
+      cell.textContent = String(value ?? '');
+      delete cell.dataset.sortValue;
+    }
+    this.#filterRows();
+  }
+
+  /** moves reorderable columns with Ctrl+Shift+ArrowLeft and Ctrl+Shift+ArrowRight */
+  #onKeydown(event: KeyboardEvent) {
+    const header = this.#getHeader(event);
+    if (!header && this.tree) {
+      this.#onTreeKeydown(event);
+      return;
+    }
+    if (!header?.reorderable
+        || !event.ctrlKey
+        || !event.shiftKey
+        || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    const visible = this.#headers.filter(header => !header.hidden);
+    const target = visible[visible.indexOf(header) + (event.key === 'ArrowLeft' ? -1 : 1)];
+    if (target) {
+      this.#moveColumn(header, this.#headers.indexOf(target));
+    }
+  }
+
+  /**
+   * In `tree` tables, when focus is on a row's first cell, ArrowRight expands the row,
+   * and ArrowLeft collapses it, or when it's already collapsed, moves focus to its parent row
+   */
+  #onTreeKeydown(event: KeyboardEvent) {
+    const [cell] = event.composedPath();
+    const row = cell instanceof PfTd || cell instanceof PfTh ? cell.parentElement : null;
+    if (!(row instanceof PfTr)
+        || !row.treeItem
+        || event.altKey
+        || event.ctrlKey
+        || event.metaKey
+        || event.shiftKey
+        || cell !== PfTable.getCells(row).find(cell => !cell.hidden)) {
+      return;
+    }
+    const { hasChildren, level } = row.treeItem;
+    if ((event.key === 'ArrowRight' && hasChildren && !row.expanded)
+        || (event.key === 'ArrowLeft' && hasChildren && row.expanded)) {
+      row.dispatchEvent(new RequestExpandEvent());
+    } else if (event.key === 'ArrowLeft' && level > 1) {
+      // child rows follow their parent row
+      const rows = this.rows.filter(row => !row.hidden);
+      const parent = rows
+          .slice(0, rows.indexOf(row))
+          .reverse()
+          .find(other => (other.treeItem?.level ?? 0) < level);
+      const parentCell = parent && PfTable.getCells(parent).find(cell => !cell.hidden);
+      if (!parentCell) {
+        return;
+      }
+      this.#grid.setActiveCell(parentCell);
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  #onDragstart(event: DragEvent) {
+    const header = this.#getHeader(event);
+    if (header?.reorderable && event.dataTransfer) {
+      this.#draggedColumn = header.key;
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', header.textContent?.trim() ?? header.key);
+    }
+  }
+
+  #onDragover(event: DragEvent) {
+    if (this.#draggedColumn && this.#getHeader(event) && event.dataTransfer) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+    }
+  }
+
+  #onDrop(event: DragEvent) {
+    const target = this.#getHeader(event);
+    const header = this.#headers.find(header => header.key === this.#draggedColumn);
+    this.#draggedColumn = undefined;
+    if (target && header && target !== header) {
+      event.preventDefault();
+      this.#moveColumn(header, this.#headers.indexOf(target));
+    }
+  }
+
+  #onDragend() {
+    this.#draggedColumn = undefined;
+  }
+
+  /**
+   * Hides hand-written rows which don't match the filters, or which aren't on the current page,
+   * and announces how many rows match
+   * @param filtersChanged whether the filters changed, rather than the rows or the page
+   */
+  #filterRows(filtersChanged = false) {
+    const { rows } = this;
+    if (this.columns && this.data) {
+      // #renderData already hid the rows
+    } else if (this.#isFiltered || this.perPage || this.#hidRows || this.tree) {
+      const keys = this.#headers.map(header => header.key);
+      const matches = (row: PfTr) => this.#matchesFilters(
+        row,
+        PfTable.getCells(row).map((_, index) => keys[index] ?? String(index)),
+        (_, index) => PfTable.getCells(row).at(index)?.textContent?.trim() ?? '',
+        (_, index) => PfTable.getSortValue(row, index),
+      );
+      let matching: PfTr[];
+      if (this.tree) {
+        const tree =
+          PfTable.arrangeTree(rows, PfTable.getParentRow(rows), row => !!row.expanded, matches);
+        for (const row of rows) {
+          row.treeItem = tree.items.get(row);
+        }
+        matching = tree.visible;
+      } else {
+        matching = rows.filter(matches);
+      }
+      const shown = new Set(this.#getPage(matching));
+      for (const row of rows) {
+        const hidden = !shown.has(row);
+        row.hidden = hidden;
+        // expandable rows in their own pf-tbody hide along with it
+        const node = PfTable.getSortNode(row);
+        if (node !== row) {
+          (node as HTMLElement).hidden = hidden;
+        }
+      }
+      this.#hidRows = shown.size < rows.length;
+      this.#matchCount = matching.length;
+    } else {
+      this.#matchCount = rows.length;
+    }
+    this.#updateSelection();
+    const count = this.#matchCount;
+    // virtual tables don't render every row
+    const total = this.#hasRenderedData ? this.#sortedData.length : rows.length;
+    if (filtersChanged || count !== this.#lastMatchCount) {
+      this.#lastMatchCount = count;
+      if (filtersChanged || this.#isFiltered) {
+        this.status =
+            this.#isFiltered ? `Showing ${count} of ${total} rows`
+          : `Showing all ${total} rows`;
+      }
+      this.dispatchEvent(new PfTableFilterEvent(this.filter, count));
+    }
+    this.#updateGrid();
+  }
+
+  /**
+   * The rows on the current page, or all of them, when the table isn't paged
+   * @param rows the rows which match the filters, in order
+   */
+  #getPage<T>(rows: T[]): T[] {
+    if (!this.perPage) {
+      return rows;
+    } else {
+      const start = (Math.max(this.page, 1) - 1) * this.perPage;
+      return rows.slice(start, start + this.perPage);
+    }
+  }
+
+  /**
+   * Whether a row contains the `filter` text, and passes the `columnFilters`
+   * @param row the row object, or the row element
+   * @param keys the keys of the row's columns
+   * @param getText the text of the row's cell in a column
+   * @param getValue the value of the row's cell in a column, as used for sorting
+   */
+  #matchesFilters(
+    row: object,
+    keys: string[],
+    getText: (key: string, index: number) => string,
+    getValue: (key: string, index: number) => unknown,
+  ) {
+    const query = this.filter.trim().toLocaleLowerCase();
+    return (!query || keys.some((key, index) =>
+      getText(key, index).toLocaleLowerCase().includes(query)))
+      && Object.entries(this.columnFilters ?? {}).every(([key, predicate]) => {
+        const index = keys.indexOf(key);
+        return index < 0 || predicate(getValue(key, index), row);
+      });
+  }
+
+  #onRequestSelect(event: Event) {
+    if (event instanceof RequestSelectEvent
+        && event.target instanceof PfTr
+        && !event.defaultPrevented) {
+      event.stopPropagation();
+      const row = event.target;
+      // select-all and range selection skip rows hidden by the filters
+      const rows = this.rows.filter(row => !row.hidden);
+      if (row.parentElement instanceof PfThead) {
+        for (const other of rows) {
+          other.selected = event.selected;
+        }
+      } else if (this.selectable === 'single') {
+        for (const other of this.rows) {
+          other.selected = other === row && event.selected;
+        }
+      } else {
+        const anchor = event.range ? this.#lastSelectedRow : undefined;
+        const from = anchor ? rows.indexOf(anchor) : -1;
+        const to = rows.indexOf(row);
+        const range = from < 0 ? [row] : rows.slice(Math.min(from, to), Math.max(from, to) + 1);
+        for (const other of range) {
+          other.selected = event.selected;
+        }
+        this.#lastSelectedRow = row;
+      }
+      this.#updateSelection();
+      this.dispatchEvent(new PfTableSelectEvent(this.selectedRows));
+    }
+  }
+
+  /** Tells the rows how to render their selection cells */
+  #updateSelection() {
+    const { selectable } = this;
+    const { rows } = this;
+    if (selectable === 'single') {
+      // a single-select table can't have more than one selected row
+      for (const row of rows.filter(row => row.selected).slice(1)) {
+        row.selected = false;
+      }
+    }
+    const visible = rows.filter(row => !row.hidden);
+    const count = visible.filter(row => row.selected).length;
+    const selection = !count ? 'none' : count === visible.length ? 'all' : 'some';
+    // tree tables are grids too
+    const { tree } = this;
+    const grid = this.grid || tree;
+    if (selectable !== this.ctx.selectable
+        || selection !== this.ctx.selection
+        || grid !== this.ctx.grid
+        || tree !== this.ctx.tree) {
+      this.ctx = { selectable, selection, grid, tree };
+    }
+  }
+
+  /**
+   * Updates the grid's cells, once the rows have rendered their own cells
+   */
+  async #updateGrid() {
+    if (this.grid || this.tree || this.#grid.rows.length) {
+      await Promise.all(Array.from(this.querySelectorAll('pf-tr'), row => row.updateComplete));
+      this.#grid.updateCells();
+    }
+  }
+
   #onRequestSort(event: Event) {
     if (event instanceof RequestSortEvent) {
-      for (const col of this.querySelectorAll<PfTh>('pf-th[sortable]')) {
-        col.selected = col === event.target;
-        if (col !== event.target) {
-          col.removeAttribute('sort-direction');
-        }
+      this.#updateHeaders(event.sorts);
+      if (!event.defaultPrevented) {
+        this.#sortRows(event.sorts);
       }
-      if (!event.defaultPrevented && event.target instanceof PfTh) {
-        event.target.sortDirection = event.direction;
-        this.#performSort(event.target, event.direction);
+    }
+  }
+
+  /**
+   * Sorts the table by one or more columns
+   * @param sorts the columns to sort by, in order of priority, identified by their header's `key`
+   */
+  sortBy(sorts: PfTableSort[]) {
+    this.#updateHeaders(sorts);
+    this.#sortRows(sorts);
+  }
+
+  /**
+   * Shows the sort direction and priority on the headers
+   * @param sorts the columns to sort by
+   */
+  #updateHeaders(sorts: PfTableSort[]) {
+    for (const header of this.#headers) {
+      const sort = sorts.find(sort => sort.key === header.key);
+      header.selected = !!sort;
+      header.sortDirection = sort?.direction;
+      header.sortPriority = PfTable.getSortPriority(sorts, header.key);
+    }
+  }
+
+  #sortRows(sorts: PfTableSort[]) {
+    this.#sorts = sorts.map(sort => ({ ...sort }));
+    if (this.columns && this.data) {
+      this.#renderData();
+    } else {
+      this.#performSort(this.#sorts);
+      if (this.perPage) {
+        // the sort order decides which rows are on the current page
+        this.#filterRows();
+      } else {
+        this.#updateGrid();
       }
     }
   }
 
-  #performSort(header: PfTh, direction: 'asc' | 'desc') {
-    const children = header.parentElement?.children;
-    if (children) {
-      const columnIndexToSort = [...children].indexOf(header);
-      Array
-          .from(this.rows, node => PfTable.getNodeContentForSort(columnIndexToSort, node))
-          .sort((a, b) => PfTable.sortByContent(direction, a, b))
-          .forEach(({ node }, index) => {
-            const target = this.rows[index];
-            if (this.rows[index] !== node) {
-              const position: InsertPosition =
-                direction === 'desc' ? 'afterend' : 'beforebegin';
-              target.insertAdjacentElement(position, node);
-            }
+  /**
+   * Sorts hand-written rows by moving their elements.
+   * Rows only move among the positions of rows in the same parent element,
+   * and an expandable row which is the only row in its `pf-tbody` moves along with it.
+   * In `tree` tables, child rows stay after their parent row.
+   * @param sorts the columns to sort by
+   */
+  #performSort(sorts: PfTableSort[]) {
+    const headers = this.#headers;
+    const criteria = sorts.flatMap(({ key, direction }) => {
+      const columnIndex = headers.findIndex(header => header.key === key);
+      const header = headers[columnIndex];
+      return !header ? [] : [{
+        direction,
+        compare: this.#getComparator(header.sortType, header.comparator),
+        getValue: (row: PfTr) => PfTable.getSortValue(row, columnIndex),
+      }];
+    });
+    if (!criteria.length) {
+      return;
+    }
+    const rows = this.rows.sort(PfTable.compareBy(criteria));
+    const sorted = (!this.tree ? rows : PfTable.arrangeTree(
+      rows,
+      PfTable.getParentRow(rows),
+      () => true,
+      () => true,
+    ).rows).map(PfTable.getSortNode);
+    const parents = new Map<Element, Element[]>();
+    for (const node of sorted) {
+      if (node.parentElement) {
+        parents.set(node.parentElement, [...parents.get(node.parentElement) ?? [], node]);
+      }
+    }
+    for (const [parent, nodes] of parents) {
+      // mark each row's current position, then fill the positions in sorted order
+      const markers = Array.from(parent.children)
+          .filter(child => nodes.includes(child))
+          .map(child => {
+            const marker = document.createComment('');
+            child.before(marker);
+            return marker;
           });
+      nodes.forEach((node, i) => markers[i].replaceWith(node));
     }
   }
 
-  private static getNodeContentForSort(
-    columnIndexToSort: number,
-    node: Element,
-  ) {
-    const content = node.querySelector(`
-      :scope > :is(pf-th, pf-td):nth-child(${columnIndexToSort + 1}),
-      :scope > pf-tr > :is(pf-th, pf-td):nth-child(${columnIndexToSort + 1})
-    `.trim())?.textContent?.trim()?.toLowerCase() ?? '';
-    return { node, content };
+  /**
+   * Comparison function for a column, according to its sort type, and the table's language
+   * @param sortType how to compare the column's values
+   * @param comparator custom comparison function
+   */
+  #getComparator(sortType?: PfThSortType, comparator?: PfThComparator): PfThComparator {
+    if (comparator) {
+      return comparator;
+    }
+    const locale = this.closest('[lang]')?.getAttribute('lang') || undefined;
+    const collator = new Intl.Collator(locale, { numeric: sortType === 'natural' });
+    switch (sortType) {
+      case 'number':
+        return (a, b) => compareNumbers(toNumber(a), toNumber(b));
+      case 'date':
+        return (a, b) => compareNumbers(toTime(a), toTime(b));
+      case 'string':
+      case 'natural':
+        return (a, b) => collator.compare(String(a ?? ''), String(b ?? ''));
+      default:
+        return (a, b) =>
+            typeof a === 'number' && typeof b === 'number' ? compareNumbers(a, b)
+          : a instanceof Date && b instanceof Date ? compareNumbers(a.getTime(), b.getTime())
+          : collator.compare(String(a ?? ''), String(b ?? ''));
+    }
+  }
+
+  /**
+   * Compares rows by each criterion in turn, until one of them orders the rows
+   * @param criteria how to compare rows by each sorted column
+   */
+  private static compareBy<Row>(criteria: {
+    direction: 'asc' | 'desc';
+    compare: PfThComparator;
+    getValue(row: Row): unknown;
+  }[]) {
+    return (a: Row, b: Row) => {
+      for (const { direction, compare, getValue } of criteria) {
+        const order = compare(getValue(a), getValue(b));
+        if (order) {
+          return direction === 'asc' ? order : -order;
+        }
+      }
+      return 0;
+    };
   }
 
-  private static sortByContent(
-    direction: 'asc' | 'desc',
-    a: { content: string },
-    b: { content: string },
+  /**
+   * Arranges the rows of a `tree` table, with each row's child rows after it, in order.
+   * Rows which match the filters keep their ancestors, and collapsed rows hide their descendants.
+   * @param rows the rows, in sort order
+   * @param getParent the row's parent row
+   * @param isExpanded whether the row shows its child rows
+   * @param matches whether the row matches the filters
+   */
+  private static arrangeTree<Row>(
+    rows: Row[],
+    getParent: (row: Row) => Row | undefined,
+    isExpanded: (row: Row) => boolean,
+    matches: (row: Row) => boolean,
   ) {
-    if (direction === 'asc') {
-      return (a.content < b.content ? -1 : a.content > b.content ? 1 : 0);
+    const included = new Set(rows);
+    const parents = new Map<Row, Row | undefined>();
+    const children = new Map<Row | undefined, Row[]>();
+    for (const row of rows) {
+      const parent = getParent(row);
+      // rows which are their own ancestors become top-level rows
+      const seen = new Set([row]);
+      let ancestor = parent;
+      while (ancestor && !seen.has(ancestor)) {
+        seen.add(ancestor);
+        ancestor = getParent(ancestor);
+      }
+      const actual = !ancestor && parent && included.has(parent) ? parent : undefined;
+      const siblings = children.get(actual) ?? [];
+      siblings.push(row);
+      parents.set(row, actual);
+      children.set(actual, siblings);
+    }
+    const ancestors = (row: Row) => {
+      const list: Row[] = [];
+      for (let parent = parents.get(row); parent; parent = parents.get(parent)) {
+        list.push(parent);
+      }
+      return list;
+    };
+    const matching = new Set<Row>();
+    for (const row of rows.filter(matches)) {
+      for (const match of [row, ...ancestors(row)]) {
+        matching.add(match);
+      }
+    }
+    const ordered: Row[] = [];
+    const items = new Map<Row, PfTrTreeItem>();
+    const visit = (parent: Row | undefined, level: number) => {
+      const siblings = children.get(parent) ?? [];
+      const setSize = siblings.filter(row => matching.has(row)).length;
+      let posInSet = 0;
+      for (const row of siblings) {
+        ordered.push(row);
+        if (matching.has(row)) {
+          items.set(row, {
+            level,
+            setSize,
+            posInSet: ++posInSet,
+            hasChildren: !!children.get(row)?.some(child => matching.has(child)),
+          });
+        }
+        visit(row, level + 1);
+      }
+    };
+    visit(undefined, 1);
+    return {
+      /** all the rows, with each row's child rows after it */
+      rows: ordered,
+      /** the rows which match the filters, and whose ancestors are all expanded */
+      visible: ordered.filter(row => matching.has(row) && ancestors(row).every(isExpanded)),
+      /** each matching row's position in the tree */
+      items,
+    };
+  }
+
+  /**
+   * Finds each row's parent row, in `tree` tables: either the row it's nested in,
+   * or the row whose `key` it names as its `parent-key`
+   * @param rows the table's rows
+   */
+  private static getParentRow(rows: PfTr[]) {
+    const byKey = new Map(rows.flatMap(row => row.key ? [[row.key, row] as const] : []));
+    return (row: PfTr): PfTr | undefined =>
+        row.parentElement instanceof PfTr ? row.parentElement
+      : row.parentKey ? byKey.get(row.parentKey)
+      : undefined;
+  }
+
+  /** position of the column in the sort order, when sorting by multiple columns */
+  private static getSortPriority(sorts: PfTableSort[], key: string) {
+    const index = sorts.findIndex(sort => sort.key === key);
+    return sorts.length > 1 && index >= 0 ? index + 1 : undefined;
+  }
+
+  /** the row's cells, excluding e.g. expansion content */
+  private static getCells(row: Element) {
+    return Array.from(row.children)
+        .filter((child): child is PfTh | PfTd =>
+          (child instanceof PfTh || child instanceof PfTd) && !child.slot);
+  }
+
+  /**
+   * The cell's `data-sort-value` attribute, or its text content
+   * @param row table row
+   * @param columnIndex index of the column to sort by
+   */
+  private static getSortValue(row: PfTr, columnIndex: number) {
+    const cell = PfTable.getCells(row).at(columnIndex);
+    return (cell as HTMLElement | undefined)?.dataset.sortValue ?? cell?.textContent?.trim() ?? '';
+  }
+
+  /**
+   * An expandable row which has its own `pf-tbody` moves along with it
+   * @param row table row
+   */
+  private static getSortNode(row: PfTr): Element {
+    const parent = row.parentElement;
+    return parent instanceof PfTbody
+        && row.expandable
+        && parent.querySelectorAll(':scope > pf-tr').length === 1 ? parent : row;
+  }
+
+  /** the cell's text, as formatted for display */
+  private static getText(row: object, column: PfTableColumn<any>) {
+    const value = getValue(row, column.key);
+    return column.formatter ? column.formatter(value, row) : String(value ?? '');
+  }
+
+  private static renderCell(row: object, column: PfTableColumn<any>) {
+    const value = getValue(row, column.key);
+    if (column.renderer) {
+      return column.renderer(value, row, column);
+    } else if (column.formatter) {
+      return column.formatter(value, row);
     } else {
-      return (b.content < a.content ? -1 : b.content > a.content ? 1 : 0);
+      return value ?? '';
     }
   }
 }
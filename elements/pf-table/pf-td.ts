@@ -1,9 +1,40 @@
-import { LitElement, html } from 'lit';
+import { LitElement, html, type ComplexAttributeConverter } from 'lit';
 import { customElement } from 'lit/decorators/custom-element.js';
 import { property } from 'lit/decorators/property.js';
+import { state } from 'lit/decorators/state.js';
+import { ifDefined } from 'lit/directives/if-defined.js';
+import { consume } from '@lit/context';
+
+import type { PfTextInput } from '@patternfly/elements/pf-text-input/pf-text-input.js';
+import type { PfSelect } from '@patternfly/elements/pf-select/pf-select.js';
 
 import styles from './pf-td.css';
 import { RequestExpandEvent } from './pf-tr.js';
+import { context, type PfTableContext } from './context.js';
+
+export class RequestEditEvent extends Event {
+  constructor(
+    /** the value the user entered */
+    public value: string,
+  ) {
+    super('request-edit', {
+      bubbles: true,
+      cancelable: true,
+    });
+  }
+}
+
+const ListConverter: ComplexAttributeConverter<string[]> = {
+  fromAttribute(value) {
+    return (value ?? '')
+        .split(',')
+        .map(x => x.trim())
+        .filter(Boolean);
+  },
+  toAttribute(value) {
+    return value.join();
+  },
+};
 
 /**
  * Table data cell
@@ -17,13 +48,79 @@ export class PfTd extends LitElement {
 
   @property({ type: Boolean, reflect: true }) expanded = false;
 
+  /**
+   * Whether the user can edit the cell's text, by double-clicking on it,
+   * or by pressing Enter while it has focus
+   */
+  @property({ type: Boolean, reflect: true }) editable = false;
+
+  /** The type of text field to edit the cell with, e.g. `number` or `email` */
+  @property({ attribute: 'edit-type' }) editType?: PfTextInput['type'];
+
+  /** Choices for the cell's value, as a comma-separated list. Edits the cell with a select */
+  @property({ attribute: 'edit-options', converter: ListConverter }) editOptions?: string[];
+
+  /** Whether the cell's value is required, when editing it */
+  @property({ type: Boolean }) required = false;
+
+  /** Pattern which the cell's value must match, when editing it */
+  @property() pattern?: string;
+
+  @state() private editing = false;
+
+  @consume({ context, subscribe: true })
+  @property({ attribute: false })
+  private ctx?: PfTableContext;
+
+  /** the cell's text, when the user started editing it */
+  #oldValue = '';
+
+  get #editor(): PfTextInput | PfSelect | null {
+    return this.shadowRoot?.getElementById('editor') as PfTextInput | PfSelect | null;
+  }
+
+  /** the text of the column header, to label the editor */
+  get #label(): string {
+    const row = this.closest('pf-tr');
+    const table = this.closest('pf-table');
+    const header = table?.querySelector(':scope > pf-thead > pf-tr, :scope > pf-tr');
+    const cells = (row: Element) =>
+      Array.from(row.children).filter(child => child.matches('pf-th, pf-td') && !child.slot);
+    const index = !row ? -1 : cells(row).indexOf(this);
+    const text = !header || index < 0 ? '' : cells(header).at(index)?.textContent?.trim();
+    return text ? `Edit ${text}` : 'Edit';
+  }
+
+  constructor() {
+    super();
+    this.addEventListener('keydown', this.#onKeydown, { capture: true });
+    this.addEventListener('dblclick', this.#onDblclick);
+    this.addEventListener('focusout', this.#onFocusout);
+  }
+
   override connectedCallback(): void {
     super.connectedCallback();
-    this.setAttribute('role', 'cell');
+    this.setAttribute('role', this.ctx?.grid ? 'gridcell' : 'cell');
+  }
+
+  override willUpdate() {
+    this.setAttribute('role', this.ctx?.grid ? 'gridcell' : 'cell');
+    // grid tables manage their cells' tabindex
+    if (this.editable && !this.ctx?.grid && !this.hasAttribute('tabindex')) {
+      this.tabIndex = 0;
+    }
+    if (this.editing) {
+      if (this.editOptions?.length) {
+        import('@patternfly/elements/pf-select/pf-select.js');
+      } else {
+        import('@patternfly/elements/pf-text-input/pf-text-input.js');
+      }
+    }
   }
 
   render() {
-    return this.compoundExpand ? html`
+    return this.editing ? this.#renderEditor()
+      : this.compoundExpand ? html`
       <button @click="${this.#onClick}">
         <slot></slot>
       </button>
@@ -32,6 +129,72 @@ export class PfTd extends LitElement {
     `;
   }
 
+  #renderEditor() {
+    const label = this.#label;
+    return this.editOptions?.length ? html`
+      <pf-select id="editor"
+                 accessible-label="${label}"
+                 ?required="${this.required}"
+                 @change="${this.#onSelectChange}">${this.editOptions.map(option => html`
+        <pf-option value="${option}" ?selected="${option === this.#oldValue}">${option}</pf-option>`)}
+      </pf-select>
+    ` : html`
+      <pf-text-input id="editor"
+                     accessible-label="${label}"
+                     type="${ifDefined(this.editType)}"
+                     pattern="${ifDefined(this.pattern)}"
+                     ?required="${this.required}"
+                     .value="${this.#oldValue}"></pf-text-input>
+    `;
+  }
+
+  /**
+   * Replaces the cell's content with a text field, or with a select when the cell has
+   * `edit-options`, and focuses it
+   */
+  async edit() {
+    if (!this.editable || this.editing) {
+      return;
+    }
+    this.#oldValue = this.textContent?.trim() ?? '';
+    this.editing = true;
+    await this.updateComplete;
+    const editor = this.#editor;
+    if (editor) {
+      await customElements.whenDefined(editor.localName);
+      await editor.updateComplete;
+      editor.focus();
+    }
+  }
+
+  /**
+   * Validates the new value, then stops editing, and requests that the table
+   * change the cell's value
+   */
+  async #commit() {
+    const editor = this.#editor;
+    if (!editor?.checkValidity()) {
+      return;
+    }
+    const value = editor.value ?? '';
+    await this.#stopEditing();
+    if (value !== this.#oldValue) {
+      this.dispatchEvent(new RequestEditEvent(value));
+    }
+  }
+
+  /**
+   * Renders the cell's content again
+   * @param focus whether to focus the cell
+   */
+  async #stopEditing(focus = true) {
+    this.editing = false;
+    await this.updateComplete;
+    if (focus) {
+      this.focus();
+    }
+  }
+
   #onClick() {
     const row = this.closest('pf-tr');
     const cell = this.compoundExpand;
@@ -40,6 +203,60 @@ export class PfTd extends LitElement {
       : new RequestExpandEvent(row.expanded === cell || cell || false, row);
     this.dispatchEvent(event);
   }
+
+  #onDblclick = () => {
+    this.edit();
+  };
+
+  #onKeydown = (event: KeyboardEvent) => {
+    if (!this.editable) {
+      return;
+    }
+    const editor = this.#editor;
+    if (!this.editing) {
+      if ((event.key === 'Enter' || event.key === 'F2') && event.composedPath().at(0) === this) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.edit();
+      }
+    } else if (editor && !(editor as PfSelect).expanded) {
+      // an expanded select handles these keys itself
+      switch (event.key) {
+        case 'Enter':
+          // Enter opens a select, which commits when the user chooses an option
+          if (editor.localName === 'pf-select') {
+            break;
+          }
+          event.preventDefault();
+          event.stopPropagation();
+          this.#commit();
+          break;
+        case 'Escape':
+          event.preventDefault();
+          event.stopPropagation();
+          this.#stopEditing();
+          break;
+      }
+    }
+  };
+
+  #onSelectChange(event: Event) {
+    // the select fires `change` when it renders the cell's current value
+    if ((event.target as PfSelect).value !== this.#oldValue) {
+      this.#commit();
+    }
+  }
+
+  #onFocusout = (event: FocusEvent) => {
+    const { relatedTarget } = event;
+    // focus moved to another element, outside of the cell
+    if (this.editing
+        && relatedTarget instanceof Node
+        && relatedTarget !== this
+        && !this.contains(relatedTarget)) {
+      this.#stopEditing(false);
+    }
+  };
 }
 
 declare global {
@@ -1,4 +1,4 @@
-import { LitElement, html, svg } from 'lit';
+import { LitElement, html, svg, type PropertyValues } from 'lit';
 import { customElement } from 'lit/decorators/custom-element.js';
 import { property } from 'lit/decorators/property.js';
 import { classMap } from 'lit/directives/class-map.js';
@@ -9,10 +9,46 @@ import styles from './pf-th.css';
 
 const DIRECTIONS = { asc: 'desc', desc: 'asc' } as const;
 
+/** narrowest width, in pixels, which the user can resize a column to */
+const MIN_WIDTH = 50;
+
+/** how far, in pixels, the arrow keys resize a column */
+const RESIZE_STEP = 10;
+
+/**
+ * How to compare a column's values when sorting:
+ * - `string`: alphabetically, according to the table's language
+ * - `number`: numerically, by the first number in each cell, e.g. `7.4` in `7.4/10`
+ * - `date`: chronologically, by parsing each cell as a date
+ * - `natural`: alphabetically, but with numbers in order, e.g. `v2` before `v10`
+ */
+export type PfThSortType = 'string' | 'number' | 'date' | 'natural';
+
+/**
+ * Compares two values from a column, returning a negative number when `a` comes first,
+ * a positive number when `b` comes first, or `0` when they are equal, like `Array#sort`.
+ * For hand-written rows, the values are each cell's `data-sort-value` attribute, or its text.
+ */
+export type PfThComparator = (a: unknown, b: unknown) => number;
+
+/** A column to sort by, and in which direction */
+export interface PfTableSort {
+  /** the column header's `key` */
+  key: string;
+  direction: 'asc' | 'desc';
+}
+
 export class RequestSortEvent extends Event {
   constructor(
     public key: string,
     public direction: 'asc' | 'desc',
+    /**
+     * All the columns to sort by, in order of priority.
+     * Apps which sort on the server should use this, rather than `key` and `direction`
+     */
+    public sorts: PfTableSort[] = [{ key, direction }],
+    /** whether the column was added to the existing sort, e.g. by shift-clicking */
+    public additive = false,
   ) {
     super('request-sort', {
       bubbles: true,
@@ -21,6 +57,22 @@ export class RequestSortEvent extends Event {
   }
 }
 
+export class RequestResizeEvent extends Event {
+  constructor(
+    /** the column header's `key` */
+    public key: string,
+    /** the requested width, in pixels */
+    public width: number,
+    /** whether the user finished resizing, e.g. by releasing the pointer */
+    public done = true,
+  ) {
+    super('request-resize', {
+      bubbles: true,
+      cancelable: true,
+    });
+  }
+}
+
 const paths = new Map(Object.entries({
   asc: `M88 166.059V468c0 6.627 5.373 12 12 12h56c6.627 0 12-5.373 12-12V166.059h46.059c21.382 0 32.09-25.851 16.971-40.971l-86.059-86.059c-9.373-9.373-24.569-9.373-33.941 0l-86.059 86.059c-15.119 15.119-4.411 40.971 16.971 40.971H88z`,
   desc: `M168 345.941V44c0-6.627-5.373-12-12-12h-56c-6.627 0-12 5.373-12 12v301.941H41.941c-21.382 0-32.09 25.851-16.971 40.971l86.059 86.059c9.373 9.373 24.569 9.373 33.941 0l86.059-86.059c15.119-15.119 4.411-40.971-16.971-40.971H168z`,
@@ -46,6 +98,43 @@ export class PfTh extends LitElement {
 
   @property() key!: string;
 
+  /** How to compare this column's values when sorting */
+  @property({ reflect: true, attribute: 'sort-type' }) sortType?: PfThSortType;
+
+  /** Custom sort order for this column's values. Overrides `sort-type` */
+  @property({ attribute: false }) comparator?: PfThComparator;
+
+  /**
+   * When the table is sorted by multiple columns, this column's position in the sort order,
+   * starting from 1.
+   */
+  @property({ type: Number, reflect: true, attribute: 'sort-priority' }) sortPriority?: number;
+
+  /** Whether the user can resize this column, by dragging the header's edge or with the arrow keys */
+  @property({ type: Boolean, reflect: true }) resizable = false;
+
+  /** Whether the user can move this column, by dragging the header or with Ctrl+Shift+arrow keys */
+  @property({ type: Boolean, reflect: true }) reorderable = false;
+
+  /** The column's width, in pixels. By default, columns share the table's width equally */
+  @property({ type: Number }) width?: number;
+
+  #resizeStart?: { x: number; width: number };
+
+  /** updates the resize handle's label when the header's text changes */
+  #mo = new MutationObserver(() => this.#onMutation());
+
+  /** the resize handle's label, which names the column by the header's text */
+  get #resizeLabel(): string {
+    const text = this.textContent?.replace(/\s+/g, ' ').trim();
+    return text ? `Resize ${text} column` : 'Resize column';
+  }
+
+  constructor() {
+    super();
+    this.addEventListener('dragstart', this.#onDragstart);
+  }
+
   override connectedCallback() {
     super.connectedCallback();
     const closestThead = this.closest('pf-thead');
@@ -53,38 +142,151 @@ export class PfTh extends LitElement {
     const isChildOfThead = !!closestThead && !!closestTable?.contains(closestThead);
     const role = isChildOfThead ? 'colheader' : 'rowheader';
     this.setAttribute('role', role);
+    this.#mo.observe(this, { childList: true, characterData: true, subtree: true });
+  }
+
+  override disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#mo.disconnect();
+  }
+
+  override willUpdate(changed: PropertyValues<this>) {
+    if (changed.has('reorderable')) {
+      this.draggable = this.reorderable;
+    }
+    if (changed.has('sortDirection') || changed.has('sortPriority') || changed.has('sortable')) {
+      // only the primary sort column has aria-sort
+      if (this.sortDirection && (this.sortPriority ?? 1) === 1) {
+        this.setAttribute('aria-sort', this.sortDirection === 'asc' ? 'ascending' : 'descending');
+      } else if (this.sortable) {
+        this.setAttribute('aria-sort', 'none');
+      } else {
+        this.removeAttribute('aria-sort');
+      }
+    }
+  }
+
+  #onMutation() {
+    if (this.resizable) {
+      this.requestUpdate();
+    }
   }
 
   render() {
     const selected = !!this.selected;
-    return this.sortable ?
+    const { sortDirection, sortPriority } = this;
+    const direction = sortDirection === 'asc' ? 'ascending' : 'descending';
+    const priority = sortPriority ? `, priority ${sortPriority}` : '';
+    return [this.sortable ?
       html`
         <button id="sort-button"
                 class="sortable ${classMap({ selected })}"
                 part="sort-button"
                 @click="${this.#onClick}">
           <slot></slot>
-          <span class="visually-hidden">${!this.sortDirection ? '' : `(sorted ${this.sortDirection === 'asc' ? 'ascending' : 'descending'})`}</span>
+          <span class="visually-hidden">${!sortDirection ? '' : `(sorted ${direction}${priority})`}</span>
           <span id="sort-indicator">
             <svg fill="currentColor" height="1em" width="1em" viewBox="0 0 256 512" aria-hidden="true" role="img" style="vertical-align: -0.125em;">${svg`
-              <path d="${paths.get(this.sortDirection ?? 'sort')}"></path>`}
-            </svg>
+              <path d="${paths.get(sortDirection ?? 'sort')}"></path>`}
+            </svg>${!sortPriority || !sortDirection ? '' : html`
+            <span id="sort-priority" aria-hidden="true">${sortPriority}</span>`}
           </span>
         </button>
       ` : html`
         <slot></slot>
-      `;
+      `, !this.resizable ? '' : html`
+        <div id="resize-handle"
+             role="separator"
+             tabindex="0"
+             aria-orientation="vertical"
+             aria-label="${this.#resizeLabel}"
+             aria-valuemin="${MIN_WIDTH}"
+             aria-valuenow="${Math.round(this.width ?? this.offsetWidth)}"
+             @keydown="${this.#onResizeKeydown}"
+             @pointerdown="${this.#onResizePointerdown}"
+             @pointermove="${this.#onResizePointermove}"
+             @pointerup="${this.#onResizePointerup}"
+             @pointercancel="${this.#onResizePointerup}"></div>
+      `];
   }
 
-  #onClick() {
+  #onClick(event: MouseEvent) {
     if (this.sortable) {
-      this.sort();
+      this.sort(event.shiftKey);
     }
   }
 
-  sort() {
-    const next = DIRECTIONS[this.sortDirection ?? 'asc'];
-    this.dispatchEvent(new RequestSortEvent(this.key, next));
+  #onDragstart = (event: DragEvent) => {
+    // resizing a reorderable column shouldn't move it
+    if (this.#resizeStart) {
+      event.preventDefault();
+    }
+  };
+
+  #onResizeKeydown(event: KeyboardEvent) {
+    const step = event.shiftKey ? RESIZE_STEP * 5 : RESIZE_STEP;
+    const width = this.width ?? this.offsetWidth;
+    switch (event.key) {
+      case 'ArrowLeft':
+        this.#resize(width - step);
+        break;
+      case 'ArrowRight':
+        this.#resize(width + step);
+        break;
+      default:
+        return;
+    }
+    // don't move focus to the next cell
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  #onResizePointerdown(event: PointerEvent) {
+    event.preventDefault();
+    (event.target as HTMLElement).setPointerCapture(event.pointerId);
+    this.#resizeStart = { x: event.clientX, width: this.offsetWidth };
+  }
+
+  #onResizePointermove(event: PointerEvent) {
+    if (this.#resizeStart) {
+      this.#resize(this.#resizeStart.width + event.clientX - this.#resizeStart.x, false);
+    }
+  }
+
+  #onResizePointerup(event: PointerEvent) {
+    if (this.#resizeStart) {
+      this.#resize(this.#resizeStart.width + event.clientX - this.#resizeStart.x);
+      this.#resizeStart = undefined;
+    }
+  }
+
+  /**
+   * Requests that the table resize this column
+   * @param width the requested width, in pixels
+   * @param done whether the user finished resizing
+   */
+  #resize(width: number, done = true) {
+    const clamped = Math.round(Math.max(MIN_WIDTH, width));
+    this.dispatchEvent(new RequestResizeEvent(this.key, clamped, done));
+  }
+
+  /**
+   * Requests that the table sort by this column, toggling the sort direction
+   * @param additive when true, adds this column to the columns the table is already sorted by,
+   *                 instead of replacing them. Shift-clicking on the header does this.
+   */
+  sort(additive = false) {
+    const direction = DIRECTIONS[this.sortDirection ?? 'asc'];
+    const sort = { key: this.key, direction };
+    const sorted = !additive ? [] : Array.from(
+      this.parentElement?.querySelectorAll<PfTh>(':scope > pf-th[sortable][sort-direction]') ?? [],
+    ).sort((a, b) => (a.sortPriority ?? 1) - (b.sortPriority ?? 1));
+    const sorts = [
+      ...sorted.map(header =>
+        header === this ? sort : { key: header.key, direction: header.sortDirection! }),
+      ...sorted.includes(this) ? [] : [sort],
+    ];
+    this.dispatchEvent(new RequestSortEvent(this.key, direction, sorts, additive));
   }
 }
 
@@ -1,9 +1,15 @@
 import { LitElement, html, type ComplexAttributeConverter, type PropertyValues } from 'lit';
 import { customElement } from 'lit/decorators/custom-element.js';
 import { property } from 'lit/decorators/property.js';
+import { consume } from '@lit/context';
 
 import styles from './pf-tr.css';
+import { classMap } from 'lit/directives/class-map.js';
 import { ifDefined } from 'lit/directives/if-defined.js';
+import { live } from 'lit/directives/live.js';
+import { styleMap } from 'lit/directives/style-map.js';
+
+import { context, type PfTableContext } from './context.js';
 
 import '@patternfly/elements/pf-button/pf-button.js';
 import '@patternfly/elements/pf-icon/pf-icon.js';
@@ -34,6 +40,32 @@ export class RequestExpandEvent extends Event {
   }
 }
 
+export class RequestSelectEvent extends Event {
+  constructor(
+    /** whether the row should become selected */
+    public selected: boolean,
+    /** whether to select the range of rows from the previously selected row */
+    public range = false,
+  ) {
+    super('request-select', {
+      bubbles: true,
+      cancelable: true,
+    });
+  }
+}
+
+/** A row's position in a `tree` table */
+export interface PfTrTreeItem {
+  /** the row's depth, starting from 1 */
+  level: number;
+  /** how many rows share the row's parent */
+  setSize: number;
+  /** the row's position among its siblings, starting from 1 */
+  posInSet: number;
+  /** whether the row has child rows */
+  hasChildren: boolean;
+}
+
 function BooleanEnumConverter(...allowedAttributes: string[]): ComplexAttributeConverter {
   const values = new Set(allowedAttributes);
   return {
@@ -74,6 +106,7 @@ const StringOrBooleanConverter: ComplexAttributeConverter = {
 /**
  * Table row
  * @slot - Place element content here
+ * @slot rows - Child rows, in `tree` tables. Rows nested in another row go here automatically
  */
 @customElement('pf-tr')
 export class PfTr extends LitElement {
@@ -89,9 +122,83 @@ export class PfTr extends LitElement {
     converter: StringOrBooleanConverter,
   }) expanded: boolean | string = false;
 
+  /** Whether the row is selected, when its table is `selectable` */
+  @property({ type: Boolean, reflect: true }) selected = false;
+
+  /**
+   * Accessible label for the row's selection checkbox, when its table is `selectable`.
+   * Defaults to "Select", followed by the text of the row's header cell, or of its first cell
+   */
+  @property({ attribute: 'select-label' }) selectLabel?: string;
+
+  /** Identifies the row, so that other rows in a `tree` table can name it as their `parent-key` */
+  @property() key?: string;
+
+  /** In `tree` tables, the `key` of the row's parent row */
+  @property({ attribute: 'parent-key' }) parentKey?: string;
+
+  /**
+   * The row's position in a `tree` table, which the table sets
+   * @internal
+   */
+  @property({ attribute: false }) treeItem?: PfTrTreeItem;
+
+  @consume({ context, subscribe: true })
+  @property({ attribute: false })
+  private ctx?: PfTableContext;
+
+  /** updates the selection checkbox's label when the cells' text changes */
+  #mo = new MutationObserver(() => this.#onMutation());
+
+  /**
+   * The cells which the row renders itself, for selecting and expanding it
+   * @internal
+   */
+  get controlCells(): HTMLElement[] {
+    const cells = this.shadowRoot?.querySelectorAll<HTMLElement>('#select-cell, #toggle-cell');
+    return Array.from(cells ?? []);
+  }
+
+  get #isHeaderRow() {
+    return this.parentElement?.localName === 'pf-thead';
+  }
+
+  /** whether other rows are nested inside of this one */
+  get #hasChildRows() {
+    return !!this.querySelector(':scope > pf-tr');
+  }
+
+  get #treeItem() {
+    return this.ctx?.tree ? this.treeItem : undefined;
+  }
+
+  /** the selection checkbox's label, which names the row by its header cell or first cell */
+  get #selectLabel(): string {
+    const cell =
+         this.querySelector<HTMLElement>(':scope > pf-th:not([hidden])')
+      ?? this.querySelector<HTMLElement>(':scope > pf-td:not([hidden])');
+    const text = cell?.textContent?.replace(/\s+/g, ' ').trim();
+    return this.selectLabel ?? (text ? `Select ${text}` : 'Select row');
+  }
+
   override connectedCallback(): void {
     super.connectedCallback();
+    // nested rows render after their parent row's cells, outside of its `row` element
+    if (this.parentElement instanceof PfTr && !this.slot) {
+      this.slot = 'rows';
+    }
     this.#expandableChanged();
+    this.#mo.observe(this, {
+      childList: true,
+      characterData: true,
+      subtree: true,
+      attributeFilter: ['hidden'],
+    });
+  }
+
+  override disconnectedCallback(): void {
+    super.disconnectedCallback();
+    this.#mo.disconnect();
   }
 
   override willUpdate(changed: PropertyValues<this>) {
@@ -103,8 +210,14 @@ export class PfTr extends LitElement {
     }
   }
 
+  override updated() {
+    this.#updateTreeAttributes();
+  }
+
   render() {
     return [
+      this.ctx?.selectable && this.#renderSelectCell(this.ctx),
+
       this.expandable && this.expandable !== 'compound' && html`
         <pf-td id="toggle-cell">
           <pf-button id="toggle-button"
@@ -119,10 +232,10 @@ export class PfTr extends LitElement {
         </pf-td>
       `,
 
+      this.#renderContainer(),
+
       html`
-        <div id="container" role="${ifDefined(this.expandable ? 'row' : undefined)}">
-          <slot></slot>
-        </div>
+        <slot name="rows" @slotchange="${this.#onRowsSlotchange}"></slot>
       `,
 
       this.expandable && this.expandable !== 'compound' && this.expanded && html`
@@ -137,9 +250,60 @@ export class PfTr extends LitElement {
     ].filter(Boolean);
   }
 
+  #renderContainer() {
+    const item = this.#treeItem;
+    const role = this.expandable || this.#hasChildRows ? 'row' : undefined;
+    return html`
+      <div id="container"
+           class="${classMap({ tree: !!item })}"
+           role="${ifDefined(role)}"
+           style="${styleMap({ '--_pf-tr--tree-level': item?.level })}">${!item?.hasChildren ? '' : html`
+        <div id="tree-toggle" aria-hidden="true" @click="${this.#onClick}">
+          <pf-icon id="tree-toggle-icon" icon="angle-right" size="md"></pf-icon>
+        </div>`}
+        <slot></slot>
+      </div>
+    `;
+  }
+
+  #renderSelectCell({ selectable, selection }: PfTableContext) {
+    if (!this.#isHeaderRow) {
+      return html`
+        <div id="select-cell" role="${this.ctx?.grid ? 'gridcell' : 'cell'}">
+          <input id="select"
+                 type="${selectable === 'single' ? 'radio' : 'checkbox'}"
+                 aria-label="${this.#selectLabel}"
+                 .checked="${live(this.selected)}"
+                 @click="${this.#onSelectClick}">
+        </div>
+      `;
+    } else if (selectable === 'multi') {
+      return html`
+        <div id="select-cell" role="columnheader">
+          <input id="select"
+                 type="checkbox"
+                 aria-label="Select all rows"
+                 .checked="${live(selection === 'all')}"
+                 .indeterminate="${selection === 'some'}"
+                 @click="${this.#onSelectClick}">
+        </div>
+      `;
+    } else {
+      return html`
+        <div id="select-cell" role="columnheader" aria-label="Select row"></div>
+      `;
+    }
+  }
+
+  #onMutation() {
+    if (this.ctx?.selectable && !this.#isHeaderRow) {
+      this.requestUpdate();
+    }
+  }
+
   #expandedChanged() {
-    // disallow setting `expanded` unless `expandable` is also set
-    if (this.expanded && !this.expandable) {
+    // disallow setting `expanded` unless `expandable` is also set, or the row is in a tree
+    if (this.expanded && !this.expandable && !this.ctx?.tree) {
       this.expanded = false;
     }
   }
@@ -154,13 +318,53 @@ export class PfTr extends LitElement {
         this.setAttribute('role', 'rowgroup');
         break;
       default:
-        this.setAttribute('role', 'row');
+        this.setAttribute('role', this.#hasChildRows ? 'rowgroup' : 'row');
+    }
+  }
+
+  /**
+   * Sets the row's level, position, and expanded state, on the host,
+   * or when the host is a `rowgroup` of nested rows, on the row which holds its cells
+   */
+  #updateTreeAttributes() {
+    const item = this.#treeItem;
+    const container = this.shadowRoot?.getElementById('container');
+    const row = this.getAttribute('role') === 'row' ? this : container;
+    for (const element of [this, container]) {
+      if (!element) {
+        continue;
+      }
+      const attributes = {
+        'aria-level': item?.level,
+        'aria-setsize': item?.setSize,
+        'aria-posinset': item?.posInSet,
+        'aria-expanded': item?.hasChildren ? !!this.expanded : undefined,
+      };
+      for (const [name, value] of Object.entries(attributes)) {
+        if (element === row && value != null) {
+          element.setAttribute(name, String(value));
+        } else {
+          element.removeAttribute(name);
+        }
+      }
     }
   }
 
   #onClick() {
     this.dispatchEvent(new RequestExpandEvent());
   }
+
+  #onRowsSlotchange() {
+    this.#expandableChanged();
+    this.requestUpdate();
+  }
+
+  #onSelectClick(event: MouseEvent) {
+    const { checked } = event.target as HTMLInputElement;
+    this.dispatchEvent(new RequestSelectEvent(checked, event.shiftKey));
+    // the table may have declined the request
+    this.requestUpdate();
+  }
 }
 
 declare global {
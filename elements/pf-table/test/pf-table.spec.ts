@@ -1,6 +1,33 @@
-import { expect, html } from '@open-wc/testing';
+import { aTimeout, expect, html } from '@open-wc/testing';
 import { createFixture } from '@patternfly/pfe-tools/test/create-fixture.js';
-import { PfTable } from '@patternfly/elements/pf-table/pf-table.js';
+import { sendKeys } from '@web/test-runner-commands';
+import { a11ySnapshot, type A11yTreeSnapshot } from '@patternfly/pfe-tools/test/a11y-snapshot.js';
+import { PfColumnMenu } from '@patternfly/elements/pf-table/pf-column-menu.js';
+import { PfTextInput } from '@patternfly/elements/pf-text-input/pf-text-input.js';
+import {
+  PfTable,
+  PfTh,
+  PfTr,
+  PfTableCellEditEvent,
+  PfTableColumnChangeEvent,
+  PfTableFilterEvent,
+  PfTableSelectEvent,
+  PfTd,
+  RequestResizeEvent,
+  RequestSortEvent,
+  type PfTableColumn,
+} from '@patternfly/elements/pf-table/pf-table.js';
+
+/** finds the nodes in the snapshot tree, depth-first, which match the predicate */
+function findNodes(
+  node: A11yTreeSnapshot,
+  predicate: (node: A11yTreeSnapshot) => boolean,
+): A11yTreeSnapshot[] {
+  return [
+    ...predicate(node) ? [node] : [],
+    ...(node.children ?? []).flatMap(child => findNodes(child, predicate)),
+  ];
+}
 
 const element = html`
   <pf-table></pf-table>
@@ -15,4 +42,1307 @@ describe('<pf-table>', function() {
         .and
         .to.be.an.instanceOf(PfTable);
   });
+
+  describe('sorting hand-written rows', function() {
+    let el: PfTable;
+
+    const getColumnText = (index: number) =>
+      Array.from(el.rows, row => row.querySelectorAll('pf-td')[index]?.textContent?.trim());
+
+    const sortBy = async (index: number) => {
+      el.querySelectorAll<PfTh>('pf-thead pf-th')[index].sort();
+      await el.updateComplete;
+    };
+
+    beforeEach(async function() {
+      el = await createFixture<PfTable>(html`
+        <pf-table>
+          <pf-thead>
+            <pf-tr>
+              <pf-th sortable>Name</pf-th>
+              <pf-th sortable sort-type="number">Count</pf-th>
+              <pf-th sortable sort-type="natural">Version</pf-th>
+              <pf-th sortable sort-type="date">Updated</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tr>
+            <pf-td>beta</pf-td>
+            <pf-td>9</pf-td>
+            <pf-td>v10</pf-td>
+            <pf-td data-sort-value="2023-01-02">Last year</pf-td>
+          </pf-tr>
+          <pf-tr>
+            <pf-td>Alpha</pf-td>
+            <pf-td>10</pf-td>
+            <pf-td>v2</pf-td>
+            <pf-td data-sort-value="2024-01-02">Yesterday</pf-td>
+          </pf-tr>
+          <pf-tr>
+            <pf-td>gamma</pf-td>
+            <pf-td>1,000</pf-td>
+            <pf-td>v1</pf-td>
+            <pf-td data-sort-value="2022-01-02">Long ago</pf-td>
+          </pf-tr>
+        </pf-table>
+      `);
+      await el.updateComplete;
+    });
+
+    it('sorts strings ignoring case', async function() {
+      await sortBy(0);
+      expect(getColumnText(0)).to.deep.equal(['gamma', 'beta', 'Alpha']);
+    });
+
+    it('sorts numbers numerically', async function() {
+      await sortBy(1);
+      expect(getColumnText(1)).to.deep.equal(['1,000', '10', '9']);
+    });
+
+    it('sorts in natural order', async function() {
+      await sortBy(2);
+      expect(getColumnText(2)).to.deep.equal(['v10', 'v2', 'v1']);
+    });
+
+    it('sorts by data-sort-value', async function() {
+      await sortBy(3);
+      expect(getColumnText(3)).to.deep.equal(['Yesterday', 'Last year', 'Long ago']);
+    });
+
+    it('sorts with a custom comparator', async function() {
+      el.querySelectorAll<PfTh>('pf-thead pf-th')[0].comparator = (a, b) =>
+        String(a).length - String(b).length;
+      await sortBy(0);
+      expect(getColumnText(0)).to.deep.equal(['Alpha', 'gamma', 'beta']);
+    });
+
+    it('sorts in ascending order, when sorting again', async function() {
+      await sortBy(1);
+      await sortBy(1);
+      expect(getColumnText(1)).to.deep.equal(['9', '10', '1,000']);
+    });
+  });
+
+  describe('sorting by multiple columns', function() {
+    let el: PfTable;
+    let headers: PfTh[];
+    let event: RequestSortEvent | undefined;
+
+    const getRowText = () =>
+      Array.from(el.rows, row =>
+        Array.from(row.querySelectorAll('pf-td'), cell => cell.textContent?.trim()).join());
+
+    beforeEach(async function() {
+      el = await createFixture<PfTable>(html`
+        <pf-table>
+          <pf-thead>
+            <pf-tr>
+              <pf-th sortable key="severity">Severity</pf-th>
+              <pf-th sortable key="name">Name</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tr><pf-td>high</pf-td><pf-td>b</pf-td></pf-tr>
+          <pf-tr><pf-td>low</pf-td><pf-td>c</pf-td></pf-tr>
+          <pf-tr><pf-td>high</pf-td><pf-td>a</pf-td></pf-tr>
+        </pf-table>
+      `);
+      headers = Array.from(el.querySelectorAll('pf-th'));
+      el.addEventListener('request-sort', e => event = e as RequestSortEvent);
+      await el.updateComplete;
+    });
+
+    describe('sorting by one column, then adding another', function() {
+      beforeEach(async function() {
+        headers[0].sort();
+        await el.updateComplete;
+        headers[1].sort(true);
+        await el.updateComplete;
+        await Promise.all(headers.map(x => x.updateComplete));
+      });
+
+      it('sorts by both columns', function() {
+        expect(getRowText()).to.deep.equal(['low,c', 'high,b', 'high,a']);
+      });
+
+      it('sends the sort stack in the event', function() {
+        expect(event?.sorts).to.deep.equal([
+          { key: 'severity', direction: 'desc' },
+          { key: 'name', direction: 'desc' },
+        ]);
+      });
+
+      it('shows the sort priorities', function() {
+        expect(headers.map(x => x.sortPriority)).to.deep.equal([1, 2]);
+      });
+
+      it('sets aria-sort on the primary sort column', function() {
+        expect(headers.map(x => x.getAttribute('aria-sort'))).to.deep.equal(['descending', 'none']);
+      });
+    });
+
+    describe('calling sortBy()', function() {
+      beforeEach(async function() {
+        el.sortBy([{ key: 'severity', direction: 'asc' }, { key: 'name', direction: 'asc' }]);
+        await Promise.all(headers.map(x => x.updateComplete));
+      });
+
+      it('sorts by both columns', function() {
+        expect(getRowText()).to.deep.equal(['high,a', 'high,b', 'low,c']);
+      });
+
+      it('sets aria-sort on the primary sort column', function() {
+        expect(headers.map(x => x.getAttribute('aria-sort'))).to.deep.equal(['ascending', 'none']);
+      });
+    });
+  });
+
+  describe('sorting expandable rows in their own pf-tbody', function() {
+    let el: PfTable;
+
+    beforeEach(async function() {
+      el = await createFixture<PfTable>(html`
+        <pf-table>
+          <pf-thead>
+            <pf-tr>
+              <pf-th sortable sort-type="number">Count</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tbody id="one">
+            <pf-tr expandable>
+              <pf-td>1</pf-td>
+              <p slot="expansion">One</p>
+            </pf-tr>
+          </pf-tbody>
+          <pf-tbody id="two">
+            <pf-tr expandable>
+              <pf-td>2</pf-td>
+              <p slot="expansion">Two</p>
+            </pf-tr>
+          </pf-tbody>
+        </pf-table>
+      `);
+      el.querySelector('pf-th')!.sort();
+      await el.updateComplete;
+    });
+
+    it('moves each row with its pf-tbody', function() {
+      const ids = Array.from(el.querySelectorAll('pf-tbody'), tbody => tbody.id);
+      expect(ids).to.deep.equal(['two', 'one']);
+    });
+  });
+
+  describe('filtering hand-written rows', function() {
+    let el: PfTable;
+    let event: PfTableFilterEvent | undefined;
+
+    const getVisibleNames = () =>
+      Array.from(el.rows)
+          .filter(row => !row.hidden)
+          .map(row => row.querySelector('pf-td')?.textContent?.trim());
+
+    beforeEach(async function() {
+      event = undefined;
+      el = await createFixture<PfTable>(html`
+        <pf-table @filter="${(e: PfTableFilterEvent) => event = e}">
+          <pf-thead>
+            <pf-tr>
+              <pf-th key="name" sortable>Name</pf-th>
+              <pf-th key="count" sortable sort-type="number">Count</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tr><pf-td>Alpha</pf-td><pf-td>3</pf-td></pf-tr>
+          <pf-tr><pf-td>beta</pf-td><pf-td>1</pf-td></pf-tr>
+          <pf-tr><pf-td>alphabet</pf-td><pf-td>2</pf-td></pf-tr>
+        </pf-table>
+      `);
+    });
+
+    describe('setting filter', function() {
+      beforeEach(async function() {
+        el.filter = 'ALPHA';
+        await el.updateComplete;
+      });
+
+      it('hides rows which do not contain the text', function() {
+        expect(getVisibleNames()).to.deep.equal(['Alpha', 'alphabet']);
+      });
+
+      it('fires a filter event', function() {
+        expect(event).to.be.an.instanceOf(PfTableFilterEvent);
+        expect(event!.count).to.equal(2);
+      });
+
+      it('announces the number of matching rows', function() {
+        expect(el.shadowRoot!.getElementById('status')!.textContent)
+            .to.equal('Showing 2 of 3 rows');
+      });
+
+      describe('then sorting', function() {
+        beforeEach(async function() {
+          el.sortBy([{ key: 'count', direction: 'asc' }]);
+          await el.updateComplete;
+        });
+
+        it('sorts the matching rows', function() {
+          expect(getVisibleNames()).to.deep.equal(['alphabet', 'Alpha']);
+        });
+      });
+
+      describe('then clearing it', function() {
+        beforeEach(async function() {
+          el.filter = '';
+          await el.updateComplete;
+        });
+
+        it('shows all rows', function() {
+          expect(getVisibleNames()).to.deep.equal(['Alpha', 'beta', 'alphabet']);
+        });
+      });
+    });
+
+    describe('setting columnFilters', function() {
+      beforeEach(async function() {
+        el.columnFilters = { count: value => Number(value) > 1 };
+        await el.updateComplete;
+      });
+
+      it('hides rows which fail the predicate', function() {
+        expect(getVisibleNames()).to.deep.equal(['Alpha', 'alphabet']);
+      });
+    });
+  });
+
+  describe('with selectable="multi"', function() {
+    let el: PfTable;
+    let event: PfTableSelectEvent | undefined;
+
+    const getCheckbox = (row: PfTr) =>
+      row.shadowRoot!.getElementById('select') as HTMLInputElement;
+
+    const getSelectAll = () =>
+      getCheckbox(el.querySelector<PfTr>('pf-thead pf-tr')!);
+
+    const clickRow = async (index: number, shiftKey = false) => {
+      const row = el.rows[index];
+      getCheckbox(row).dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey }));
+      await row.updateComplete;
+      await el.updateComplete;
+    };
+
+    const getSelectedIndices = () =>
+      Array.from(el.rows).flatMap((row, i) => row.selected ? [i] : []);
+
+    beforeEach(async function() {
+      event = undefined;
+      el = await createFixture<PfTable>(html`
+        <pf-table selectable="multi" @select="${(e: PfTableSelectEvent) => event = e}">
+          <pf-thead>
+            <pf-tr>
+              <pf-th>Name</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tr><pf-td>a</pf-td></pf-tr>
+          <pf-tr selected><pf-td>b</pf-td></pf-tr>
+          <pf-tr><pf-td>c</pf-td></pf-tr>
+          <pf-tr><pf-td>d</pf-td></pf-tr>
+        </pf-table>
+      `);
+      await Promise.all(Array.from(el.querySelectorAll('pf-tr'), row => row.updateComplete));
+    });
+
+    it('renders a checkbox in each row', function() {
+      for (const row of el.rows) {
+        expect(getCheckbox(row)).to.have.property('type', 'checkbox');
+      }
+    });
+
+    it('labels each row\'s checkbox by its first cell', async function() {
+      const snapshot = await a11ySnapshot();
+      const names = findNodes(snapshot, x => x.role === 'checkbox').map(x => x.name);
+      expect(names).to.deep.equal([
+        'Select all rows',
+        'Select a',
+        'Select b',
+        'Select c',
+        'Select d',
+      ]);
+    });
+
+    describe('changing a row\'s first cell', function() {
+      beforeEach(async function() {
+        el.rows[0].querySelector('pf-td')!.textContent = 'alpha';
+        await new Promise(requestAnimationFrame);
+        await el.rows[0].updateComplete;
+      });
+
+      it('updates the row\'s checkbox label', function() {
+        expect(getCheckbox(el.rows[0]).getAttribute('aria-label')).to.equal('Select alpha');
+      });
+    });
+
+    describe('setting a row\'s select-label', function() {
+      beforeEach(async function() {
+        el.rows[0].setAttribute('select-label', 'Select the first row');
+        await el.rows[0].updateComplete;
+      });
+
+      it('labels the row\'s checkbox', function() {
+        expect(getCheckbox(el.rows[0]).getAttribute('aria-label'))
+            .to.equal('Select the first row');
+      });
+    });
+
+    it('checks the selected row', function() {
+      expect(getCheckbox(el.rows[1]).checked).to.be.true;
+      expect(el.selectedRows).to.deep.equal([el.rows[1]]);
+    });
+
+    it('makes the select-all checkbox indeterminate', function() {
+      expect(getSelectAll().indeterminate).to.be.true;
+    });
+
+    describe('clicking a row\'s checkbox', function() {
+      beforeEach(() => clickRow(0));
+
+      it('selects the row', function() {
+        expect(getSelectedIndices()).to.deep.equal([0, 1]);
+      });
+
+      it('fires a select event', function() {
+        expect(event).to.be.an.instanceOf(PfTableSelectEvent);
+        expect(event!.selectedRows).to.deep.equal([el.rows[0], el.rows[1]]);
+      });
+
+      describe('then shift-clicking another row\'s checkbox', function() {
+        beforeEach(() => clickRow(3, true));
+
+        it('selects the range of rows', function() {
+          expect(getSelectedIndices()).to.deep.equal([0, 1, 2, 3]);
+        });
+
+        it('checks the select-all checkbox', async function() {
+          const header = el.querySelector<PfTr>('pf-thead pf-tr')!;
+          await header.updateComplete;
+          expect(getSelectAll().checked).to.be.true;
+          expect(getSelectAll().indeterminate).to.be.false;
+        });
+      });
+    });
+
+    describe('clicking the select-all checkbox', function() {
+      beforeEach(async function() {
+        getSelectAll().click();
+        await el.updateComplete;
+      });
+
+      it('selects all rows', function() {
+        expect(getSelectedIndices()).to.deep.equal([0, 1, 2, 3]);
+      });
+    });
+
+    describe('setting selectedRows', function() {
+      beforeEach(async function() {
+        el.selectedRows = [el.rows[2]];
+        await el.updateComplete;
+      });
+
+      it('selects only those rows', function() {
+        expect(getSelectedIndices()).to.deep.equal([2]);
+      });
+
+      it('does not fire a select event', function() {
+        expect(event).to.be.undefined;
+      });
+    });
+  });
+
+  describe('with selectable="single"', function() {
+    let el: PfTable;
+
+    beforeEach(async function() {
+      el = await createFixture<PfTable>(html`
+        <pf-table selectable="single">
+          <pf-thead>
+            <pf-tr>
+              <pf-th>Name</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tr selected><pf-td>a</pf-td></pf-tr>
+          <pf-tr><pf-td>b</pf-td></pf-tr>
+        </pf-table>
+      `);
+      await Promise.all(Array.from(el.rows, row => row.updateComplete));
+    });
+
+    it('renders a radio button in each row', function() {
+      for (const row of el.rows) {
+        expect(row.shadowRoot!.getElementById('select')).to.have.property('type', 'radio');
+      }
+    });
+
+    describe('selecting another row', function() {
+      beforeEach(async function() {
+        (el.rows[1].shadowRoot!.getElementById('select') as HTMLInputElement).click();
+        await el.updateComplete;
+      });
+
+      it('deselects the previous row', function() {
+        expect(el.selectedRows).to.deep.equal([el.rows[1]]);
+      });
+    });
+  });
+
+  describe('arranging columns', function() {
+    let el: PfTable;
+    let events: PfTableColumnChangeEvent[];
+
+    const getRowText = (row: Element) =>
+      Array.from(row.querySelectorAll('pf-th, pf-td'), cell => cell.textContent?.trim());
+
+    const header = (key: string) =>
+      Array.from(el.querySelectorAll('pf-th')).find(header => header.key === key)!;
+
+    beforeEach(async function() {
+      events = [];
+      el = await createFixture<PfTable>(html`
+        <pf-table @column-change="${(event: PfTableColumnChangeEvent) => events.push(event)}">
+          <pf-thead>
+            <pf-tr>
+              <pf-th key="name" reorderable resizable>Name</pf-th>
+              <pf-th key="branches" reorderable>Branches</pf-th>
+              <pf-th key="prs">Pull requests</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tr>
+            <pf-th>patternfly-elements</pf-th>
+            <pf-td>9</pf-td>
+            <pf-td>21</pf-td>
+          </pf-tr>
+        </pf-table>
+      `);
+      await el.updateComplete;
+    });
+
+    it('has the columns in document order', function() {
+      expect(el.columnState).to.deep.equal([
+        { key: 'name' },
+        { key: 'branches' },
+        { key: 'prs' },
+      ]);
+    });
+
+    it('renders a resize handle on resizable headers', async function() {
+      await header('name').updateComplete;
+      expect(header('name').shadowRoot!.getElementById('resize-handle'))
+          .to.have.attribute('role', 'separator');
+      expect(header('branches').shadowRoot!.getElementById('resize-handle')).to.be.null;
+    });
+
+    it('names the resize handle after the column', async function() {
+      await header('name').updateComplete;
+      const snapshot = await a11ySnapshot();
+      const names = findNodes(snapshot, x => x.role === 'separator').map(x => x.name);
+      expect(names).to.deep.equal(['Resize Name column']);
+    });
+
+    describe('changing the header\'s text', function() {
+      beforeEach(async function() {
+        header('name').textContent = 'Repository';
+        await new Promise(requestAnimationFrame);
+        await header('name').updateComplete;
+      });
+
+      it('renames the resize handle', function() {
+        expect(header('name').shadowRoot!.getElementById('resize-handle'))
+            .to.have.attribute('aria-label', 'Resize Repository column');
+      });
+    });
+
+    describe('setting columnState', function() {
+      beforeEach(async function() {
+        el.columnState = [
+          { key: 'prs', width: 200 },
+          { key: 'name' },
+          { key: 'branches', hidden: true },
+        ];
+        await el.updateComplete;
+      });
+
+      it('moves the cells', function() {
+        expect(getRowText(el.rows[0])).to.deep.equal(['21', 'patternfly-elements', '9']);
+      });
+
+      it('hides the cells', function() {
+        expect(el.rows[0].querySelectorAll('pf-td')[1].hidden).to.be.true;
+        expect(header('branches').hidden).to.be.true;
+      });
+
+      it('sets the width', function() {
+        expect(header('prs').width).to.equal(200);
+      });
+
+      it('has the new state', function() {
+        expect(el.columnState).to.deep.equal([
+          { key: 'prs', width: 200 },
+          { key: 'name' },
+          { key: 'branches', hidden: true },
+        ]);
+      });
+
+      it('does not fire column-change', function() {
+        expect(events).to.be.empty;
+      });
+    });
+
+    describe('pressing Ctrl+Shift+ArrowRight on a reorderable header', function() {
+      beforeEach(async function() {
+        header('name').focus();
+        header('name').dispatchEvent(new KeyboardEvent('keydown', {
+          key: 'ArrowRight',
+          ctrlKey: true,
+          shiftKey: true,
+          bubbles: true,
+          composed: true,
+        }));
+        await el.updateComplete;
+      });
+
+      it('moves the column', function() {
+        expect(getRowText(el.rows[0])).to.deep.equal(['9', 'patternfly-elements', '21']);
+      });
+
+      it('fires column-change', function() {
+        expect(events.at(-1)?.columnState.map(column => column.key))
+            .to.deep.equal(['branches', 'name', 'prs']);
+      });
+
+      it('announces the new position', function() {
+        expect(el.shadowRoot!.getElementById('status')!.textContent)
+            .to.equal('Moved Name to column 2 of 3');
+      });
+    });
+
+    describe('resizing a column', function() {
+      beforeEach(async function() {
+        header('name').dispatchEvent(new RequestResizeEvent('name', 300));
+        await el.updateComplete;
+      });
+
+      it('sets the column width', function() {
+        expect(header('name').getBoundingClientRect().width).to.be.closeTo(300, 1);
+      });
+
+      it('fires column-change', function() {
+        expect(events.at(-1)?.columnState[0]).to.deep.equal({ key: 'name', width: 300 });
+      });
+    });
+
+    describe('with a pf-column-menu', function() {
+      let menu: PfColumnMenu;
+
+      beforeEach(async function() {
+        el.id = 'arranged';
+        menu = document.createElement('pf-column-menu');
+        menu.setAttribute('for', 'arranged');
+        el.before(menu);
+        await menu.updateComplete;
+        await el.updateComplete;
+        await menu.updateComplete;
+      });
+
+      afterEach(function() {
+        menu.remove();
+      });
+
+      it('lists the columns', function() {
+        const items = menu.shadowRoot!.querySelectorAll('pf-dropdown-item');
+        expect(Array.from(items, item => item.textContent?.trim().replace(/\s+/g, ' ')))
+            .to.deep.equal(['Hide Name', 'Hide Branches', 'Hide Pull requests']);
+      });
+
+      describe('selecting a column', function() {
+        beforeEach(async function() {
+          menu.shadowRoot!.querySelectorAll('pf-dropdown-item')[1].click();
+          await el.updateComplete;
+          await menu.updateComplete;
+        });
+
+        it('hides the column', function() {
+          expect(header('branches').hidden).to.be.true;
+        });
+
+        it('fires column-change', function() {
+          expect(events.at(-1)?.columnState[1]).to.deep.equal({ key: 'branches', hidden: true });
+        });
+
+        it('offers to show the column', function() {
+          const [, item] = menu.shadowRoot!.querySelectorAll('pf-dropdown-item');
+          expect(item.textContent?.trim().replace(/\s+/g, ' ')).to.equal('Show Branches');
+        });
+      });
+    });
+  });
+
+  describe('with grid', function() {
+    let el: PfTable;
+    let clicked: boolean;
+
+    const press = (key: string) => async function() {
+      await sendKeys({ press: key });
+      await el.updateComplete;
+    };
+
+    const cell = (row: number, column: number) =>
+      el.querySelectorAll('pf-tr')[row].querySelectorAll('pf-th, pf-td')[column] as HTMLElement;
+
+    beforeEach(async function() {
+      clicked = false;
+      el = await createFixture<PfTable>(html`
+        <pf-table grid>
+          <pf-thead>
+            <pf-tr>
+              <pf-th>Name</pf-th>
+              <pf-th>Branches</pf-th>
+              <pf-th>Action</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tr>
+            <pf-th>patternfly-elements</pf-th>
+            <pf-td>9</pf-td>
+            <pf-td><button @click="${() => clicked = true}">Fork</button></pf-td>
+          </pf-tr>
+          <pf-tr>
+            <pf-th>patternfly</pf-th>
+            <pf-td>10</pf-td>
+            <pf-td><input aria-label="Notes"></pf-td>
+          </pf-tr>
+        </pf-table>
+      `);
+      await Promise.all(Array.from(el.querySelectorAll('pf-tr'), row => row.updateComplete));
+      await el.updateComplete;
+    });
+
+    it('has the grid role', function() {
+      expect(el.getAttribute('role')).to.equal('grid');
+    });
+
+    it('has gridcells', function() {
+      expect(cell(1, 1).getAttribute('role')).to.equal('gridcell');
+    });
+
+    it('puts only the first cell in the tab sequence', function() {
+      expect(cell(0, 0).tabIndex).to.equal(0);
+      expect(cell(1, 1).tabIndex).to.equal(-1);
+      expect(el.querySelector('button')!.tabIndex).to.equal(-1);
+    });
+
+    describe('focusing the first cell', function() {
+      beforeEach(function() {
+        cell(0, 0).focus();
+      });
+
+      describe('ArrowRight', function() {
+        beforeEach(press('ArrowRight'));
+        it('focuses the next cell in the row', function() {
+          expect(document.activeElement).to.equal(cell(0, 1));
+          expect(cell(0, 1).tabIndex).to.equal(0);
+          expect(cell(0, 0).tabIndex).to.equal(-1);
+        });
+      });
+
+      describe('ArrowDown', function() {
+        beforeEach(press('ArrowDown'));
+        it('focuses the cell below', function() {
+          expect(document.activeElement).to.equal(cell(1, 0));
+        });
+      });
+
+      describe('ArrowUp', function() {
+        beforeEach(press('ArrowUp'));
+        it('stays on the first row', function() {
+          expect(document.activeElement).to.equal(cell(0, 0));
+        });
+      });
+
+      describe('End', function() {
+        beforeEach(press('End'));
+        it('focuses the last cell in the row', function() {
+          expect(document.activeElement).to.equal(cell(0, 2));
+        });
+      });
+
+      describe('Control+End', function() {
+        beforeEach(press('Control+End'));
+        it('focuses the last cell in the table', function() {
+          expect(document.activeElement).to.equal(cell(2, 2));
+        });
+
+        describe('Control+Home', function() {
+          beforeEach(press('Control+Home'));
+          it('focuses the first cell in the table', function() {
+            expect(document.activeElement).to.equal(cell(0, 0));
+          });
+        });
+
+        describe('Enter', function() {
+          beforeEach(press('Enter'));
+          it('focuses the text field', function() {
+            expect(document.activeElement).to.equal(el.querySelector('input'));
+          });
+
+          describe('ArrowLeft', function() {
+            beforeEach(press('ArrowLeft'));
+            it('stays in the text field', function() {
+              expect(document.activeElement).to.equal(el.querySelector('input'));
+            });
+          });
+
+          describe('Escape', function() {
+            beforeEach(press('Escape'));
+            it('focuses the cell', function() {
+              expect(document.activeElement).to.equal(cell(2, 2));
+            });
+          });
+        });
+      });
+    });
+
+    describe('pressing Enter on a cell with a button', function() {
+      beforeEach(function() {
+        cell(1, 2).focus();
+      });
+      beforeEach(press('Enter'));
+      it('clicks the button', function() {
+        expect(clicked).to.be.true;
+      });
+    });
+
+    describe('removing the grid attribute', function() {
+      beforeEach(async function() {
+        el.grid = false;
+        await el.updateComplete;
+        await aTimeout(0);
+      });
+
+      it('has the table role', function() {
+        expect(el.getAttribute('role')).to.equal('table');
+        expect(cell(1, 1).getAttribute('role')).to.equal('cell');
+      });
+
+      it('restores the tab sequence', function() {
+        expect(cell(0, 0).hasAttribute('tabindex')).to.be.false;
+        expect(el.querySelector('button')!.hasAttribute('tabindex')).to.be.false;
+      });
+    });
+  });
+
+  describe('editing cells', function() {
+    let el: PfTable;
+    let events: PfTableCellEditEvent[];
+
+    const cell = () => el.querySelector('pf-td[editable]') as PfTd;
+
+    const editor = () => cell().shadowRoot!.getElementById('editor') as PfTextInput | null;
+
+    beforeEach(async function() {
+      events = [];
+      el = await createFixture<PfTable>(html`
+        <pf-table @cell-edit="${(event: PfTableCellEditEvent) => events.push(event)}">
+          <pf-thead>
+            <pf-tr>
+              <pf-th key="name">Name</pf-th>
+              <pf-th key="branches">Branches</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tr>
+            <pf-th>patternfly-elements</pf-th>
+            <pf-td editable>9</pf-td>
+          </pf-tr>
+        </pf-table>
+      `);
+      await el.updateComplete;
+      await cell().updateComplete;
+    });
+
+    it('puts the cell in the tab sequence', function() {
+      expect(cell().tabIndex).to.equal(0);
+    });
+
+    describe('double-clicking on the cell', function() {
+      beforeEach(async function() {
+        cell().dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+        await aTimeout(50);
+        await cell().updateComplete;
+      });
+
+      it('renders a text field with the cell\'s value', function() {
+        expect(editor()).to.be.an.instanceOf(PfTextInput);
+        expect(editor()!.value).to.equal('9');
+      });
+
+      it('focuses the text field', function() {
+        // focus inside the cell's shadow root retargets document.activeElement to the cell
+        expect(cell().shadowRoot!.activeElement).to.equal(editor());
+      });
+
+      it('labels the text field with the column header', function() {
+        expect(editor()!.accessibleLabel).to.equal('Edit Branches');
+      });
+
+      describe('then entering a value and pressing Enter', function() {
+        beforeEach(async function() {
+          editor()!.value = '12';
+          await sendKeys({ press: 'Enter' });
+          await aTimeout(50);
+        });
+
+        it('fires a cell-edit event', function() {
+          expect(events).to.have.length(1);
+          const [event] = events;
+          expect(event.key).to.equal('branches');
+          expect(event.oldValue).to.equal('9');
+          expect(event.newValue).to.equal('12');
+          expect(event.row).to.equal(el.rows[0]);
+        });
+
+        it('changes the cell\'s text', function() {
+          expect(editor()).to.be.null;
+          expect(cell().textContent).to.equal('12');
+        });
+
+        it('focuses the cell', function() {
+          expect(document.activeElement).to.equal(cell());
+        });
+
+        describe('then reverting the edit', function() {
+          beforeEach(function() {
+            events[0].revert();
+          });
+
+          it('restores the cell\'s text', function() {
+            expect(cell().textContent).to.equal('9');
+          });
+        });
+      });
+
+      describe('then entering a value and pressing Escape', function() {
+        beforeEach(async function() {
+          editor()!.value = '12';
+          await sendKeys({ press: 'Escape' });
+          await aTimeout(50);
+        });
+
+        it('does not fire a cell-edit event', function() {
+          expect(events).to.be.empty;
+        });
+
+        it('keeps the cell\'s text', function() {
+          expect(editor()).to.be.null;
+          expect(cell().textContent).to.equal('9');
+        });
+      });
+    });
+
+    describe('when the cell-edit event is cancelled', function() {
+      beforeEach(async function() {
+        el.addEventListener('cell-edit', event => event.preventDefault());
+        cell().focus();
+        await sendKeys({ press: 'Enter' });
+        await aTimeout(50);
+        editor()!.value = '12';
+        await sendKeys({ press: 'Enter' });
+        await aTimeout(50);
+      });
+
+      it('keeps the cell\'s text', function() {
+        expect(events).to.have.length(1);
+        expect(cell().textContent).to.equal('9');
+      });
+    });
+
+    describe('with columns and data', function() {
+      const columns: PfTableColumn[] = [
+        { key: 'name', label: 'Name' },
+        { key: 'branches', label: 'Branches', editable: true, editType: 'number' },
+      ];
+
+      const data = [{ name: 'patternfly-elements', branches: 9 }];
+
+      beforeEach(async function() {
+        el = await createFixture<PfTable>(html`
+          <pf-table .columns="${columns}"
+                    .data="${data}"
+                    @cell-edit="${(event: PfTableCellEditEvent) => events.push(event)}"></pf-table>
+        `);
+        await el.updateComplete;
+        await cell().updateComplete;
+        cell().focus();
+        await sendKeys({ press: 'Enter' });
+        await aTimeout(50);
+        editor()!.value = '12';
+        await sendKeys({ press: 'Enter' });
+        await aTimeout(50);
+        await el.updateComplete;
+      });
+
+      it('fires a cell-edit event with numeric values', function() {
+        expect(events.at(-1)?.oldValue).to.equal(9);
+        expect(events.at(-1)?.newValue).to.equal(12);
+        expect(events.at(-1)?.data).to.equal(data[0]);
+      });
+
+      it('changes the row object', function() {
+        expect(data[0].branches).to.equal(12);
+        expect(cell().textContent?.trim()).to.equal('12');
+      });
+    });
+  });
+
+  describe('with tree', function() {
+    let el: PfTable;
+
+    const row = (name: string) =>
+      el.rows.find(row => row.querySelector(':scope > pf-th')?.textContent === name)!;
+
+    const firstCell = (name: string) => row(name).querySelector<PfTh>(':scope > pf-th')!;
+
+    const getNames = () =>
+      el.rows.map(row => row.querySelector(':scope > pf-th')?.textContent);
+
+    const getHidden = () =>
+      el.rows.map(row => row.hidden);
+
+    async function updated() {
+      await el.updateComplete;
+      await Promise.all(el.rows.map(row => row.updateComplete));
+    }
+
+    beforeEach(async function() {
+      el = await createFixture<PfTable>(html`
+        <pf-table tree>
+          <pf-thead>
+            <pf-tr>
+              <pf-th sortable>Name</pf-th>
+              <pf-th>Version</pf-th>
+            </pf-tr>
+          </pf-thead>
+          <pf-tbody>
+            <pf-tr key="b">
+              <pf-th>b</pf-th>
+              <pf-td>1</pf-td>
+            </pf-tr>
+            <pf-tr parent-key="b">
+              <pf-th>b2</pf-th>
+              <pf-td>2</pf-td>
+            </pf-tr>
+            <pf-tr parent-key="b">
+              <pf-th>b1</pf-th>
+              <pf-td>3</pf-td>
+            </pf-tr>
+            <pf-tr expanded>
+              <pf-th>a</pf-th>
+              <pf-td>4</pf-td>
+              <pf-tr>
+                <pf-th>a1</pf-th>
+                <pf-td>5</pf-td>
+              </pf-tr>
+            </pf-tr>
+          </pf-tbody>
+        </pf-table>
+      `);
+      await updated();
+    });
+
+    it('has the treegrid role', function() {
+      expect(el.getAttribute('role')).to.equal('treegrid');
+    });
+
+    it('includes nested rows', function() {
+      expect(getNames()).to.deep.equal(['b', 'b2', 'b1', 'a', 'a1']);
+    });
+
+    it('hides the child rows of collapsed rows', function() {
+      expect(getHidden()).to.deep.equal([false, true, true, false, false]);
+    });
+
+    it('sets the position of rows', function() {
+      expect(row('b').getAttribute('aria-level')).to.equal('1');
+      expect(row('b').getAttribute('aria-setsize')).to.equal('2');
+      expect(row('b').getAttribute('aria-posinset')).to.equal('1');
+      expect(row('b').getAttribute('aria-expanded')).to.equal('false');
+      expect(row('b1').getAttribute('aria-level')).to.equal('2');
+      expect(row('b1').getAttribute('aria-posinset')).to.equal('2');
+      expect(row('a1').getAttribute('aria-level')).to.equal('2');
+      expect(row('a1').hasAttribute('aria-expanded')).to.be.false;
+    });
+
+    it('sets the position of rows with nested rows on the row which holds their cells', function() {
+      const container = row('a').shadowRoot!.getElementById('container')!;
+      expect(row('a').getAttribute('role')).to.equal('rowgroup');
+      expect(row('a').hasAttribute('aria-level')).to.be.false;
+      expect(container.getAttribute('role')).to.equal('row');
+      expect(container.getAttribute('aria-level')).to.equal('1');
+      expect(container.getAttribute('aria-posinset')).to.equal('2');
+      expect(container.getAttribute('aria-expanded')).to.equal('true');
+    });
+
+    describe('clicking on a row\'s toggle', function() {
+      beforeEach(async function() {
+        row('b').shadowRoot!.getElementById('tree-toggle')!.click();
+        await updated();
+      });
+
+      it('expands the row', function() {
+        expect(row('b').expanded).to.be.true;
+        expect(row('b').getAttribute('aria-expanded')).to.equal('true');
+        expect(getHidden()).to.deep.equal([false, false, false, false, false]);
+      });
+    });
+
+    describe('focusing a collapsed row\'s first cell', function() {
+      beforeEach(function() {
+        firstCell('b').focus();
+      });
+
+      describe('ArrowRight', function() {
+        beforeEach(async function() {
+          await sendKeys({ press: 'ArrowRight' });
+          await updated();
+        });
+
+        it('expands the row', function() {
+          expect(row('b').expanded).to.be.true;
+          expect(getHidden()).to.deep.equal([false, false, false, false, false]);
+        });
+
+        it('keeps focus on the cell', function() {
+          expect(document.activeElement).to.equal(firstCell('b'));
+        });
+
+        describe('ArrowLeft', function() {
+          beforeEach(async function() {
+            await sendKeys({ press: 'ArrowLeft' });
+            await updated();
+          });
+
+          it('collapses the row', function() {
+            expect(row('b').expanded).to.be.false;
+            expect(getHidden()).to.deep.equal([false, true, true, false, false]);
+          });
+        });
+      });
+    });
+
+    describe('focusing a child row\'s first cell', function() {
+      beforeEach(async function() {
+        firstCell('a1').focus();
+        await sendKeys({ press: 'ArrowLeft' });
+        await updated();
+      });
+
+      it('moves focus to the parent row with ArrowLeft', function() {
+        expect(document.activeElement).to.equal(firstCell('a'));
+        expect(row('a').expanded).to.be.true;
+      });
+    });
+
+    describe('sorting', function() {
+      beforeEach(async function() {
+        el.sortBy([{ key: '0', direction: 'asc' }]);
+        await updated();
+      });
+
+      it('keeps child rows under their parents', function() {
+        expect(getNames()).to.deep.equal(['a', 'a1', 'b', 'b1', 'b2']);
+      });
+    });
+
+    describe('filtering', function() {
+      beforeEach(async function() {
+        row('b').expanded = true;
+        el.filter = 'b2';
+        await updated();
+      });
+
+      it('keeps the parents of matching rows', function() {
+        expect(getHidden()).to.deep.equal([false, false, true, true, true]);
+        expect(row('b').getAttribute('aria-setsize')).to.equal('1');
+        expect(row('b2').getAttribute('aria-posinset')).to.equal('1');
+      });
+    });
+
+    describe('with columns and data', function() {
+      const columns: PfTableColumn[] = [{ key: 'name', label: 'Name' }];
+
+      const data = [
+        { id: 2, name: 'Engineer', managerId: 1 },
+        { id: 1, name: 'Manager' },
+      ];
+
+      beforeEach(async function() {
+        el = await createFixture<PfTable>(html`
+          <pf-table tree
+                    row-key="id"
+                    parent-key="managerId"
+                    .columns="${columns}"
+                    .data="${data}"></pf-table>
+        `);
+        await updated();
+      });
+
+      const dataRow = (name: string) =>
+        el.rows.find(row => row.querySelector('pf-td')?.textContent?.trim() === name)!;
+
+      it('puts child rows after their parents', function() {
+        expect(el.rows.map(row => row.querySelector('pf-td')?.textContent?.trim()))
+            .to.deep.equal(['Manager', 'Engineer']);
+      });
+
+      it('hides the child rows of collapsed rows', function() {
+        expect(dataRow('Engineer').hidden).to.be.true;
+      });
+
+      describe('pressing ArrowRight on a parent row', function() {
+        beforeEach(async function() {
+          dataRow('Manager').querySelector('pf-td')!.focus();
+          await sendKeys({ press: 'ArrowRight' });
+          await updated();
+        });
+
+        it('shows its child rows', function() {
+          expect(dataRow('Manager').getAttribute('aria-expanded')).to.equal('true');
+          expect(dataRow('Engineer').hidden).to.be.false;
+          expect(dataRow('Engineer').getAttribute('aria-level')).to.equal('2');
+        });
+      });
+    });
+  });
+
+  describe('with virtual', function() {
+    let el: PfTable;
+
+    const columns: PfTableColumn[] = [
+      { key: 'id', label: 'ID' },
+      { key: 'name', label: 'Name' },
+    ];
+
+    const data = Array.from({ length: 1000 }, (_, i) => ({ id: i + 1, name: `row ${i + 1}` }));
+
+    const nextFrame = () => new Promise(requestAnimationFrame);
+
+    beforeEach(async function() {
+      el = await createFixture<PfTable>(html`
+        <pf-table virtual
+                  row-key="id"
+                  style="--pf-c-table--m-virtual--MaxHeight: 300px"
+                  .columns="${columns}"
+                  .data="${data}"></pf-table>
+      `);
+      await nextFrame();
+      await nextFrame();
+    });
+
+    it('renders only some of the rows', function() {
+      expect(el.rows.length).to.be.greaterThan(0).and.lessThan(100);
+    });
+
+    it('counts all the rows', function() {
+      expect(el.getAttribute('aria-rowcount')).to.equal('1001');
+    });
+
+    it('sets the row index of the rendered rows', function() {
+      expect(el.rows[0].getAttribute('aria-rowindex')).to.equal('2');
+    });
+
+    it('makes the header sticky', function() {
+      expect(getComputedStyle(el.querySelector('pf-thead')!).position).to.equal('sticky');
+    });
+
+    describe('scrolling to the end', function() {
+      beforeEach(async function() {
+        el.scrollTop = el.scrollHeight;
+        await nextFrame();
+        await nextFrame();
+        await nextFrame();
+      });
+
+      it('renders the last rows', function() {
+        const last = Array.from(el.rows).at(-1)!;
+        expect(last.getAttribute('aria-rowindex')).to.equal('1001');
+        expect(last.querySelector('pf-td')?.textContent?.trim()).to.equal('1000');
+      });
+    });
+  });
+
+  describe('with columns and data', function() {
+    let el: PfTable;
+
+    const columns: PfTableColumn[] = [
+      { key: 'name', label: 'Name', sortable: true },
+      { key: 'count', label: 'Count', sortable: true },
+      { key: 'size', label: 'Size', formatter: value => `${value} MB` },
+    ];
+
+    const getCellText = () =>
+      Array.from(el.rows, row =>
+        Array.from(row.querySelectorAll('pf-td'), cell => cell.textContent?.trim()));
+
+    const data = [
+      { name: 'b', count: 9, size: 1 },
+      { name: 'a', count: 10, size: 2 },
+      { name: 'c', count: 1, size: 3 },
+    ];
+
+    beforeEach(async function() {
+      el = await createFixture<PfTable>(html`
+        <pf-table row-key="name" .columns="${columns}" .data="${data}"></pf-table>
+      `);
+      await el.updateComplete;
+    });
+
+    it('renders column headers', function() {
+      const headers = Array.from(el.querySelectorAll<PfTh>('pf-thead pf-th'), th => th.textContent?.trim());
+      expect(headers).to.deep.equal(['Name', 'Count', 'Size']);
+    });
+
+    it('renders rows', function() {
+      expect(getCellText()).to.deep.equal([
+        ['b', '9', '1 MB'],
+        ['a', '10', '2 MB'],
+        ['c', '1', '3 MB'],
+      ]);
+    });
+
+    describe('filtering by formatted text', function() {
+      beforeEach(async function() {
+        el.filter = '2 mb';
+        await el.updateComplete;
+      });
+
+      it('hides rows which do not match', function() {
+        expect(Array.from(el.rows, row => row.hidden)).to.deep.equal([true, false, true]);
+      });
+    });
+
+    describe('sorting a numeric column', function() {
+      beforeEach(async function() {
+        el.querySelectorAll('pf-th')[1].sort();
+        await el.updateComplete;
+      });
+
+      it('sorts by value, in descending order', function() {
+        expect(getCellText().map(([, count]) => count)).to.deep.equal(['10', '9', '1']);
+      });
+
+      describe('then sorting it again', function() {
+        beforeEach(async function() {
+          el.querySelectorAll('pf-th')[1].sort();
+          await el.updateComplete;
+        });
+
+        it('sorts in ascending order', function() {
+          expect(getCellText().map(([, count]) => count)).to.deep.equal(['1', '9', '10']);
+        });
+      });
+    });
+  });
 });
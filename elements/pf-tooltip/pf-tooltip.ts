@@ -10,15 +10,29 @@ import {
   type Placement,
 } from '@patternfly/pfe-core/controllers/floating-dom-controller.js';
 
+import { InternalsController } from '@patternfly/pfe-core/controllers/internals-controller.js';
 import { bound } from '@patternfly/pfe-core/decorators/bound.js';
+import { getRandomId } from '@patternfly/pfe-core/functions/random.js';
 
 import { StringListConverter } from '@patternfly/pfe-core';
 
 
 import styles from './pf-tooltip.css';
 
-const EnterEvents = ['focusin', 'tap', 'click', 'mouseenter'];
-const ExitEvents = ['focusout', 'blur', 'mouseleave'];
+/**
+ * How the user opens the tooltip:
+ * - `hover`: on mouse enter, closing on mouse leave
+ * - `focus`: on focus, closing on blur
+ * - `click`: on click, closing on a second click, or on click outside of it
+ * - `manual`: only when calling `show()`, closing only when calling `hide()`
+ */
+export type TooltipTriggerAction = 'hover' | 'focus' | 'click' | 'manual';
+
+type ElementReferences =
+  Partial<Record<'ariaDescribedByElements' | 'ariaLabelledByElements', Element[] | null>>;
+
+/** the tooltips that are currently open. Opening a tooltip closes the others */
+const openTooltips = new Set<PfTooltip>();
 
 /**
  * A **tooltip** is in-app messaging used to identify elements on a page with short,
@@ -119,6 +133,29 @@ export class PfTooltip extends LitElement {
 
   @property() trigger?: string | Element;
 
+  /**
+   * Comma-separated list of the ways the user opens the tooltip:
+   * `hover`, `focus`, `click`, or `manual`
+   */
+  @property({
+    attribute: 'trigger-action',
+    converter: StringListConverter,
+  }) triggerAction: TooltipTriggerAction[] = ['hover', 'focus'];
+
+  /**
+   * How the tooltip's content relates to its trigger element:
+   * - `describedby`: the content describes the trigger
+   * - `labelledby`: the content is the trigger's accessible name, e.g. for icon-only buttons
+   * - `none`: the tooltip doesn't change the trigger's accessible name or description
+   */
+  @property() aria: 'describedby' | 'labelledby' | 'none' = 'describedby';
+
+  /** Delay in milliseconds before the tooltip opens, on hover or focus */
+  @property({ type: Number, attribute: 'entry-delay' }) entryDelay = 0;
+
+  /** Delay in milliseconds before the tooltip closes, on mouse leave or blur */
+  @property({ type: Number, attribute: 'exit-delay' }) exitDelay = 0;
+
   /**
    * The flip order when flip is enabled and the initial position is not possible.
    * There are 12 options: `top`, `bottom`, `left`, `right`, `top-start`, `top-end`,
@@ -140,6 +177,21 @@ export class PfTooltip extends LitElement {
 
   #referenceTrigger?: HTMLElement | null;
 
+  /** the element which has the trigger action event listeners */
+  #listening?: HTMLElement | null;
+
+  /** pending show or hide, after the entry or exit delay */
+  #timer?: ReturnType<typeof setTimeout>;
+
+  /** the trigger element and content which the tooltip currently associates */
+  #association?: {
+    trigger: Element | null;
+    contents: Element[];
+    aria: PfTooltip['aria'];
+    text: string;
+    dissociate?(): void;
+  };
+
   #float = new FloatingDOMController(this, {
     content: (): HTMLElement | null | undefined => this.#content,
     invoker: (): HTMLElement | null | undefined => {
@@ -152,6 +204,8 @@ export class PfTooltip extends LitElement {
         return this.#invoker;
       }
     },
+    // tooltips don't close other popovers, like menus
+    popover: 'manual',
   });
 
   override connectedCallback() {
@@ -160,18 +214,31 @@ export class PfTooltip extends LitElement {
     this.#updateTrigger();
   }
 
+  override disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this.#timer);
+    this.#dismissListeners(false);
+    openTooltips.delete(this);
+    this.#association?.dissociate?.();
+    this.#association = undefined;
+  }
+
   /**
    * Removes event listeners from the old trigger element and attaches
    * them to the new trigger element.
    */
   override willUpdate(changed: PropertyValues<this>) {
-    if (changed.has('trigger')) {
+    if (changed.has('trigger') || changed.has('triggerAction')) {
       this.#updateTrigger();
     }
   }
 
+  override updated() {
+    this.#associate();
+  }
+
   override render() {
-    const { alignment, anchor, open, styles } = this.#float;
+    const { alignment, anchor, open, styles, topLayer } = this.#float;
 
     const blockInvoker =
       this.#invoker?.assignedElements().length === 0
@@ -182,6 +249,7 @@ export class PfTooltip extends LitElement {
       <div id="container"
            style="${styleMap(styles)}"
            class="${classMap({ open,
+                               'top-layer': topLayer,
                                [anchor]: !!anchor,
                                [alignment]: !!alignment })}">
         <div role="tooltip"
@@ -190,7 +258,11 @@ export class PfTooltip extends LitElement {
           <slot id="invoker" @slotchange="${this.#invokerChanged}"></slot>
         </div>
         <div aria-hidden="${String(!open) as 'true' | 'false'}">
-          <slot id="tooltip" name="content">${this.content}</slot>
+          <slot id="tooltip"
+                name="content"
+                @slotchange="${this.#invokerChanged}"
+                @mouseenter="${this.#onContentEnter}"
+                @mouseleave="${this.#onContentLeave}">${this.content}</slot>
         </div>
       </div>
     `;
@@ -201,38 +273,191 @@ export class PfTooltip extends LitElement {
     this.requestUpdate();
   }
 
+  /**
+   * Gives the trigger element an accessible description, or name, from the tooltip's content.
+   * Slotted content is referenced by element, so that it works across shadow roots.
+   * The `content` attribute renders inside the tooltip's shadow root, so it's copied as text.
+   */
+  #associate() {
+    const trigger =
+      this.#referenceTrigger ?? this.#invoker?.assignedElements().at(0) ?? null;
+    const contents = (this.#content as HTMLSlotElement | null)?.assignedElements() ?? [];
+    const text = contents.length ? '' : this.content ?? '';
+    const { aria } = this;
+    const old = this.#association;
+    if (old
+        && old.trigger === trigger
+        && old.aria === aria
+        && old.text === text
+        && old.contents.length === contents.length
+        && old.contents.every((content, i) => content === contents[i])) {
+      return;
+    }
+    old?.dissociate?.();
+    this.#association = { trigger, contents, aria, text };
+    if (!trigger || aria === 'none') {
+      return;
+    } else if (contents.length) {
+      const key = aria === 'labelledby' ? 'ariaLabelledByElements' : 'ariaDescribedByElements';
+      // custom elements like pf-button keep their semantics in their element internals
+      const target: ElementReferences =
+        InternalsController.get(trigger) ?? trigger as ElementReferences;
+      const root = trigger.getRootNode();
+      const sameRoot = contents.every(content => content.getRootNode() === root);
+      // keep the author's own references, and only remove the tooltip's.
+      // setting a native element's references replaces its attribute, so prefer ids there
+      if (key in target && (target !== trigger || !sameRoot)) {
+        target[key] = [...target[key] ?? [], ...contents];
+        this.#association.dissociate = () => {
+          const rest = target[key]?.filter(x => !contents.includes(x)) ?? [];
+          target[key] = rest.length ? rest : null;
+        };
+      } else {
+        // without element reference support, ids only work within the same root
+        const attr = aria === 'labelledby' ? 'aria-labelledby' : 'aria-describedby';
+        for (const content of contents) {
+          content.id ||= getRandomId('pf-tooltip');
+        }
+        const ids = contents.map(x => x.id);
+        const own = trigger.getAttribute(attr)?.split(/\s+/).filter(Boolean) ?? [];
+        trigger.setAttribute(attr, [...new Set([...own, ...ids])].join(' '));
+        this.#association.dissociate = () => {
+          const rest = (trigger.getAttribute(attr)?.split(/\s+/) ?? [])
+              .filter(id => id && !ids.includes(id));
+          if (rest.length) {
+            trigger.setAttribute(attr, rest.join(' '));
+          } else {
+            trigger.removeAttribute(attr);
+          }
+        };
+      }
+    } else if (text) {
+      const attr = aria === 'labelledby' ? 'aria-label' : 'aria-description';
+      // the author's own label or description takes precedence
+      if (!trigger.hasAttribute(attr)) {
+        trigger.setAttribute(attr, text);
+        this.#association.dissociate = () => trigger.removeAttribute(attr);
+      }
+    }
+  }
+
   #getReferenceTrigger() {
     return (this.getRootNode() as Document | ShadowRoot)
         .getElementById(this.trigger?.normalize() ?? '');
   }
 
+  #has(action: TooltipTriggerAction) {
+    return !!this.triggerAction?.includes(action);
+  }
+
   #updateTrigger() {
-    const oldReferenceTrigger = this.#referenceTrigger;
     this.#referenceTrigger =
         this.trigger instanceof HTMLElement ? this.trigger
       : typeof this.trigger === 'string' ? this.#getReferenceTrigger()
       : null;
-    for (const evt of EnterEvents) {
-      if (this.#referenceTrigger) {
-        this.removeEventListener(evt, this.show);
-        this.#referenceTrigger.addEventListener(evt, this.show);
-      } else {
-        oldReferenceTrigger?.removeEventListener(evt, this.show);
-        this.addEventListener(evt, this.show);
-      }
+    const old = this.#listening;
+    old?.removeEventListener('mouseenter', this.#onEnter);
+    old?.removeEventListener('mouseleave', this.#onLeave);
+    old?.removeEventListener('focusin', this.#onEnter);
+    old?.removeEventListener('focusout', this.#onLeave);
+    old?.removeEventListener('click', this.#onClick);
+    const target = this.#listening = this.#referenceTrigger ?? this;
+    if (this.#has('hover')) {
+      target.addEventListener('mouseenter', this.#onEnter);
+      target.addEventListener('mouseleave', this.#onLeave);
     }
-    for (const evt of ExitEvents) {
-      if (this.#referenceTrigger) {
-        this.removeEventListener(evt, this.hide);
-        this.#referenceTrigger.addEventListener(evt, this.hide);
-      } else {
-        oldReferenceTrigger?.removeEventListener(evt, this.hide);
-        this.addEventListener(evt, this.hide);
-      }
+    if (this.#has('focus')) {
+      target.addEventListener('focusin', this.#onEnter);
+      target.addEventListener('focusout', this.#onLeave);
+    }
+    if (this.#has('click')) {
+      target.addEventListener('click', this.#onClick);
     }
   }
 
+  /** whether the node is inside the trigger, or inside the tooltip */
+  #isInside(node: EventTarget | null) {
+    return node instanceof Node && (
+      !!this.#listening?.contains(node)
+      || this.contains(node)
+      || !!this.shadowRoot?.contains(node)
+    );
+  }
+
+  #onEnter = () => {
+    clearTimeout(this.#timer);
+    // once a tooltip is open, moving to the next one in e.g. a toolbar shouldn't wait again
+    if (this.#float.open || !this.entryDelay || openTooltips.size) {
+      this.show();
+    } else {
+      this.#timer = setTimeout(this.show, this.entryDelay);
+    }
+  };
+
+  #onLeave = (event: Event) => {
+    // focus can leave the trigger while the pointer is still on it, and vice versa
+    if (event.type === 'focusout' && this.#has('hover') && this.#listening?.matches(':hover')) {
+      return;
+    }
+    clearTimeout(this.#timer);
+    // wait at least a task, so the pointer can move from the trigger into the tooltip
+    this.#timer = setTimeout(this.hide, this.exitDelay);
+  };
+
+  #onClick = (event: Event) => {
+    if (!this.#float.open) {
+      this.show();
+    } else if (!this.shadowRoot?.getElementById('tooltip')?.contains(event.target as Node)) {
+      this.hide();
+    }
+  };
+
+  /** users can move the pointer into the tooltip, e.g. to select its text */
+  #onContentEnter() {
+    if (this.#has('hover')) {
+      clearTimeout(this.#timer);
+    }
+  }
+
+  #onContentLeave(event: MouseEvent) {
+    if (this.#has('hover') && !this.#isInside(event.relatedTarget)) {
+      clearTimeout(this.#timer);
+      this.#timer = setTimeout(this.hide, this.exitDelay);
+    }
+  }
+
+  #onDocumentKeydown = (event: KeyboardEvent) => {
+    if (event.key === 'Escape') {
+      this.hide();
+    }
+  };
+
+  #onDocumentClick = (event: MouseEvent) => {
+    if (!event.composedPath().some(node => node === this || node === this.#listening)) {
+      this.hide();
+    }
+  };
+
+  /** users can dismiss the tooltip with Escape, or by clicking elsewhere */
+  #dismissListeners(listen: boolean) {
+    document.removeEventListener('keydown', this.#onDocumentKeydown);
+    document.removeEventListener('click', this.#onDocumentClick);
+    if (listen && !this.#has('manual')) {
+      document.addEventListener('keydown', this.#onDocumentKeydown);
+      document.addEventListener('click', this.#onDocumentClick);
+    }
+  }
+
+  /** Opens the tooltip, closing any other open tooltip */
   @bound async show() {
+    clearTimeout(this.#timer);
+    for (const tooltip of openTooltips) {
+      if (tooltip !== this) {
+        tooltip.hide();
+      }
+    }
+    openTooltips.add(this);
+    this.#dismissListeners(true);
     await this.updateComplete;
     const placement = this.position;
     const offset =
@@ -246,7 +471,11 @@ export class PfTooltip extends LitElement {
     });
   }
 
+  /** Closes the tooltip */
   @bound async hide() {
+    clearTimeout(this.#timer);
+    openTooltips.delete(this);
+    this.#dismissListeners(false);
     await this.#float.hide();
   }
 }
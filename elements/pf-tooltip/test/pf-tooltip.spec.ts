@@ -1,8 +1,8 @@
-import { expect, html, fixture } from '@open-wc/testing';
+import { expect, html, fixture, waitUntil } from '@open-wc/testing';
 import type { A11yTreeSnapshot } from '@patternfly/pfe-tools/test/a11y-snapshot.js';
 
 import { PfTooltip } from '../pf-tooltip.js';
-import { setViewport, sendMouse } from '@web/test-runner-commands';
+import { setViewport, sendKeys, sendMouse, resetMouse } from '@web/test-runner-commands';
 import { a11ySnapshot } from '@patternfly/pfe-tools/test/a11y-snapshot.js';
 
 describe('<pf-tooltip>', function() {
@@ -59,4 +59,283 @@ describe('<pf-tooltip>', function() {
       });
     });
   });
+
+  describe('with trigger-action="click"', function() {
+    beforeEach(async function() {
+      element = await fixture<PfTooltip>(html`
+        <pf-tooltip content="Content" trigger-action="click">
+          <button>Tooltip</button>
+        </pf-tooltip>
+      `);
+    });
+
+    afterEach(() => resetMouse());
+
+    const isOpen = () =>
+      !!element.shadowRoot?.getElementById('container')?.classList.contains('open');
+
+    describe('hovering the element', function() {
+      beforeEach(async function() {
+        const { x, y } = element.getBoundingClientRect();
+        await sendMouse({ position: [x + 5, y + 5], type: 'move' });
+        await element.updateComplete;
+      });
+
+      it('does not show the tooltip', function() {
+        expect(element.shadowRoot?.getElementById('container')).to.not.have.class('open');
+      });
+    });
+
+    describe('clicking the element', function() {
+      beforeEach(async function() {
+        element.querySelector('button')!.click();
+        // the tooltip opens once it's positioned
+        await waitUntil(isOpen, 'tooltip did not open');
+      });
+
+      it('shows the tooltip', function() {
+        expect(element.shadowRoot?.getElementById('container')).to.have.class('open');
+      });
+
+      describe('then clicking it again', function() {
+        beforeEach(async function() {
+          element.querySelector('button')!.click();
+          await waitUntil(() => !isOpen(), 'tooltip did not close');
+        });
+
+        it('hides the tooltip', function() {
+          expect(element.shadowRoot?.getElementById('container')).to.not.have.class('open');
+        });
+      });
+
+      describe('then clicking outside of it', function() {
+        beforeEach(async function() {
+          document.body.click();
+          await waitUntil(() => !isOpen(), 'tooltip did not close');
+        });
+
+        it('hides the tooltip', function() {
+          expect(element.shadowRoot?.getElementById('container')).to.not.have.class('open');
+        });
+      });
+
+      describe('then pressing Escape', function() {
+        beforeEach(async function() {
+          await sendKeys({ press: 'Escape' });
+          await waitUntil(() => !isOpen(), 'tooltip did not close');
+        });
+
+        it('hides the tooltip', function() {
+          expect(element.shadowRoot?.getElementById('container')).to.not.have.class('open');
+        });
+      });
+    });
+  });
+
+  describe('with entry-delay and exit-delay', function() {
+    beforeEach(async function() {
+      element = await fixture<PfTooltip>(html`
+        <pf-tooltip content="Content" entry-delay="100" exit-delay="100">
+          <button>Tooltip</button>
+        </pf-tooltip>
+      `);
+      element.querySelector('button')!.focus();
+      await element.updateComplete;
+    });
+
+    it('does not show the tooltip right away', function() {
+      expect(element.shadowRoot?.getElementById('container')).to.not.have.class('open');
+    });
+
+    describe('after the entry delay', function() {
+      beforeEach(async function() {
+        await new Promise(r => setTimeout(r, 150));
+        await element.updateComplete;
+      });
+
+      it('shows the tooltip', function() {
+        expect(element.shadowRoot?.getElementById('container')).to.have.class('open');
+      });
+
+      describe('then blurring the element', function() {
+        beforeEach(async function() {
+          element.querySelector('button')!.blur();
+          await element.updateComplete;
+        });
+
+        it('does not hide the tooltip right away', function() {
+          expect(element.shadowRoot?.getElementById('container')).to.have.class('open');
+        });
+
+        describe('after the exit delay', function() {
+          beforeEach(async function() {
+            await new Promise(r => setTimeout(r, 150));
+            await element.updateComplete;
+          });
+
+          it('hides the tooltip', function() {
+            expect(element.shadowRoot?.getElementById('container')).to.not.have.class('open');
+          });
+        });
+      });
+    });
+  });
+
+  describe('with several tooltips', function() {
+    let tooltips: PfTooltip[];
+
+    beforeEach(async function() {
+      const container = await fixture(html`
+        <div>
+          <pf-tooltip content="Cut"><button>Cut</button></pf-tooltip>
+          <pf-tooltip content="Copy"><button>Copy</button></pf-tooltip>
+        </div>
+      `);
+      tooltips = Array.from(container.querySelectorAll('pf-tooltip'));
+      await tooltips[0].show();
+      await tooltips[1].show();
+    });
+
+    it('only shows one tooltip at a time', function() {
+      const [first, second] = tooltips.map(x => x.shadowRoot?.getElementById('container'));
+      expect(first).to.not.have.class('open');
+      expect(second).to.have.class('open');
+    });
+  });
+
+  describe('with a slotted button and content', function() {
+    let button: HTMLButtonElement;
+
+    beforeEach(async function() {
+      element = await fixture<PfTooltip>(html`
+        <pf-tooltip>
+          <button>Save</button>
+          <span slot="content">Saves the document</span>
+        </pf-tooltip>
+      `);
+      button = element.querySelector('button')!;
+      snapshot = await a11ySnapshot();
+    });
+
+    it('describes the button with the content', function() {
+      const node = snapshot.children?.find(x => x.role === 'button');
+      expect(node).to.deep.include({
+        role: 'button',
+        name: 'Save',
+        description: 'Saves the document',
+      });
+    });
+
+    describe('removing the tooltip', function() {
+      beforeEach(async function() {
+        element.after(button);
+        element.remove();
+        snapshot = await a11ySnapshot();
+      });
+
+      it('removes the description', function() {
+        const node = snapshot.children?.find(x => x.role === 'button');
+        expect(node?.description).to.not.be.ok;
+      });
+    });
+  });
+
+  describe('with a button which has its own description', function() {
+    let button: HTMLButtonElement;
+
+    beforeEach(async function() {
+      const container = await fixture(html`
+        <div>
+          <p id="hint">Changes are saved automatically</p>
+          <pf-tooltip>
+            <button aria-describedby="hint">Save</button>
+            <span slot="content">Saves the document</span>
+          </pf-tooltip>
+        </div>
+      `);
+      element = container.querySelector('pf-tooltip')!;
+      button = element.querySelector('button')!;
+      await element.updateComplete;
+      snapshot = await a11ySnapshot();
+    });
+
+    it('keeps the button\'s own description', function() {
+      const node = snapshot.children?.find(x => x.role === 'button');
+      expect(node?.description)
+          .to.equal('Changes are saved automatically Saves the document');
+      expect(button.getAttribute('aria-describedby')).to.match(/^hint \S+$/);
+    });
+
+    describe('removing the tooltip', function() {
+      beforeEach(async function() {
+        element.after(button);
+        element.remove();
+        snapshot = await a11ySnapshot();
+      });
+
+      it('only removes the tooltip\'s description', function() {
+        const node = snapshot.children?.find(x => x.role === 'button');
+        expect(node?.description).to.equal('Changes are saved automatically');
+        expect(button.getAttribute('aria-describedby')).to.equal('hint');
+      });
+    });
+  });
+
+  describe('with aria="labelledby" and an icon-only pf-button', function() {
+    beforeEach(async function() {
+      await import('@patternfly/elements/pf-button/pf-button.js');
+      element = await fixture<PfTooltip>(html`
+        <pf-tooltip aria="labelledby">
+          <pf-button plain><svg viewBox="0 0 10 10" width="10" height="10"></svg></pf-button>
+          <span slot="content">Settings</span>
+        </pf-tooltip>
+      `);
+      snapshot = await a11ySnapshot();
+    });
+
+    it('names the button with the content', function() {
+      const node = snapshot.children?.find(x => x.role === 'button');
+      expect(node?.name).to.equal('Settings');
+    });
+  });
+
+  describe('with the content attribute and a trigger', function() {
+    beforeEach(async function() {
+      const container = await fixture(html`
+        <div>
+          <pf-tooltip trigger="trigger" content="Deletes the file"></pf-tooltip>
+          <button id="trigger">Delete</button>
+        </div>
+      `);
+      element = container.querySelector('pf-tooltip')!;
+      await element.updateComplete;
+      snapshot = await a11ySnapshot();
+    });
+
+    it('describes the trigger with the content', function() {
+      const node = snapshot.children?.find(x => x.role === 'button');
+      expect(node).to.deep.include({
+        role: 'button',
+        name: 'Delete',
+        description: 'Deletes the file',
+      });
+    });
+  });
+
+  describe('with aria="none"', function() {
+    beforeEach(async function() {
+      element = await fixture<PfTooltip>(html`
+        <pf-tooltip aria="none">
+          <button>Save</button>
+          <span slot="content">Saves the document</span>
+        </pf-tooltip>
+      `);
+      snapshot = await a11ySnapshot();
+    });
+
+    it('does not describe the button', function() {
+      const node = snapshot.children?.find(x => x.role === 'button');
+      expect(node?.description).to.not.be.ok;
+    });
+  });
 });
@@ -4,9 +4,11 @@ export interface A11yTreeSnapshot {
   name: string;
   role: string;
   children?: A11yTreeSnapshot[];
+  autocomplete?: string;
   checked?: boolean;
   disabled?: boolean;
   description?: string;
+  expanded?: boolean;
   focused?: boolean;
   haspopup?: string;
   level?: number;